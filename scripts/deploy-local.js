@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Deploys SupplyChainManagement to a local development node (Hardhat, Anvil or
+ * Ganache), assigns the supply chain roles to the node's funded test accounts
+ * and seeds products at every status.
+ *
+ * Usage:
+ *   npm run deploy:local -- [--rpc <url>] [--products <count>] [--env-path <path>]
+ *
+ *   --rpc        JSON-RPC endpoint of the local node (default http://127.0.0.1:8545)
+ *   --products   Number of products to seed at each status (default 2)
+ *   --env-path   Env file the deployed address is written to (default .env.local)
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const SupplyChainManagement = require("../src/abi/SupplyChainManagement.json");
+
+const STATUS_NAMES = [
+  "Created",
+  "Sent by Manufacturer",
+  "Received by Distributor",
+  "Sent by Distributor",
+  "Received by Retailer",
+];
+
+const parseArgs = (argv) => {
+  const options = {
+    rpc: process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545",
+    products: 2,
+    envFile: path.resolve(__dirname, "..", ".env.local"),
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case "--rpc":
+        options.rpc = value;
+        i++;
+        break;
+      case "--products":
+        options.products = Number(value);
+        i++;
+        break;
+      case "--env-path":
+        options.envFile = path.resolve(value);
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!Number.isInteger(options.products) || options.products < 0) {
+    throw new Error("--products must be a non-negative integer");
+  }
+  return options;
+};
+
+// Sets each key in an env file, keeping every other line untouched
+const writeEnv = (envFile, values) => {
+  const lines = fs.existsSync(envFile)
+    ? fs.readFileSync(envFile, "utf8").trimEnd().split(/\r?\n/)
+    : [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const line = `${key}=${value}`;
+    const index = lines.findIndex((existing) => existing.startsWith(`${key}=`));
+    if (index === -1) {
+      lines.push(line);
+    } else {
+      lines[index] = line;
+    }
+  }
+
+  fs.writeFileSync(envFile, `${lines.join("\n")}\n`);
+};
+
+const send = async (label, txPromise) => {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  if (receipt.status !== 1) throw new Error(`${label} reverted (${tx.hash})`);
+  return receipt;
+};
+
+// Steps that move a freshly created product to each later status
+const advanceSteps = (contracts) => [
+  (id) => contracts.manufacturer.sendProductByManufacturer(id),
+  (id) => contracts.distributor.receiveProductByDistributor(id),
+  (id) => contracts.distributor.sendProductByDistributor(id),
+  (id) => contracts.retailer.receiveProductByRetailer(id),
+];
+
+const seedProducts = async (contract, contracts, perStatus) => {
+  const steps = advanceSteps(contracts);
+  let created = 0;
+
+  for (let status = 0; status < STATUS_NAMES.length; status++) {
+    for (let n = 0; n < perStatus; n++) {
+      created++;
+      const receipt = await send(
+        "createProduct",
+        contracts.manufacturer.createProduct(
+          `Sample Product ${created}`,
+          `Seeded product at status "${STATUS_NAMES[status]}"`,
+          ethers.parseEther(String(created * 10))
+        )
+      );
+      const createdEvent = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event?.name === "ProductCreated");
+      const productId = createdEvent.args.productId;
+
+      for (const step of steps.slice(0, status)) {
+        await send(`advance product ${productId}`, step(productId));
+      }
+    }
+    console.log(`  ${perStatus} product(s) at "${STATUS_NAMES[status]}"`);
+  }
+  return created;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const provider = new ethers.JsonRpcProvider(options.rpc);
+  const { chainId } = await provider.getNetwork();
+  const accounts = await provider.listAccounts();
+
+  if (accounts.length < 4) {
+    throw new Error(
+      `The node at ${options.rpc} exposes ${accounts.length} unlocked account(s); 4 are needed (owner, manufacturer, distributor, retailer).`
+    );
+  }
+  const [owner, manufacturer, distributor, retailer] = accounts;
+
+  console.log(`Deploying SupplyChainManagement to chain ${chainId} at ${options.rpc}`);
+  const factory = new ethers.ContractFactory(
+    SupplyChainManagement.abi,
+    SupplyChainManagement.bytecode.object,
+    owner
+  );
+  const contract = await factory.deploy();
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+  console.log(`Deployed at ${address}`);
+
+  await send(
+    "setAddresses",
+    contract.setAddresses(manufacturer.address, distributor.address, retailer.address)
+  );
+  console.log("Roles assigned:");
+  console.log(`  owner        ${owner.address}`);
+  console.log(`  manufacturer ${manufacturer.address}`);
+  console.log(`  distributor  ${distributor.address}`);
+  console.log(`  retailer     ${retailer.address}`);
+
+  console.log("Seeding products:");
+  const created = await seedProducts(
+    contract,
+    {
+      manufacturer: contract.connect(manufacturer),
+      distributor: contract.connect(distributor),
+      retailer: contract.connect(retailer),
+    },
+    options.products
+  );
+  console.log(`Seeded ${created} product(s)`);
+
+  writeEnv(options.envFile, {
+    REACT_APP_DEFAULT_CHAIN_ID: chainId.toString(),
+    REACT_APP_LOCAL_CHAIN_ID: chainId.toString(),
+    REACT_APP_LOCAL_RPC_URL: options.rpc,
+    REACT_APP_LOCAL_CONTRACT_ADDRESS: address,
+  });
+  console.log(`Wrote contract address to ${path.relative(process.cwd(), options.envFile)}`);
+  console.log("Restart `npm start` to pick up the new configuration.");
+};
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exit(1);
+});
@@ -0,0 +1,665 @@
+import 'fake-indexeddb/auto';
+import { ethers } from 'ethers';
+import { QueryClient } from 'react-query';
+import {
+  computeAnalytics,
+  decodeContractError,
+  fetchFilteredProducts,
+  getIndexedEvents,
+  getReturnWriteAdapter,
+  HISTORY_PAGE_SIZE,
+  mergeAddressBookEntries,
+  paginateActivity,
+  parseCsv,
+  parseProductFilters,
+  parseTrackingCode,
+  serializeProductFilters,
+  syncEventIndex,
+  validateNewOwner,
+} from './App';
+import SupplyChainManagementABI from './abi/SupplyChainManagement.json';
+
+describe('decodeContractError', () => {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const revertWith = (signature, type, value) => ({
+    code: 'CALL_EXCEPTION',
+    data: `${ethers.id(signature).slice(0, 10)}${coder.encode([type], [value]).slice(2)}`,
+  });
+
+  test('recognises wallet rejections, including wrapped ones', () => {
+    expect(decodeContractError({ code: 'ACTION_REJECTED' }).kind).toBe('rejected');
+    expect(decodeContractError({ message: 'failed', info: { error: { code: 4001 } } }).kind).toBe(
+      'rejected'
+    );
+  });
+
+  test('recognises insufficient funds', () => {
+    expect(decodeContractError({ code: 'INSUFFICIENT_FUNDS' }).kind).toBe('insufficient-funds');
+    expect(
+      decodeContractError({ message: 'insufficient funds for gas * price + value' }).kind
+    ).toBe('insufficient-funds');
+  });
+
+  test('recognises network mismatches', () => {
+    expect(decodeContractError({ code: 4901 }).kind).toBe('wrong-network');
+    expect(decodeContractError({ message: 'network changed: 1 => 5' }).kind).toBe(
+      'wrong-network'
+    );
+  });
+
+  test('recognises nonce conflicts', () => {
+    expect(decodeContractError({ code: 'NONCE_EXPIRED' }).kind).toBe('nonce');
+    expect(decodeContractError({ message: 'replacement transaction underpriced' }).kind).toBe(
+      'nonce'
+    );
+  });
+
+  test('recognises timeouts', () => {
+    expect(decodeContractError({ code: 'TIMEOUT' }).kind).toBe('timeout');
+    expect(decodeContractError({ message: 'request timed out' }).kind).toBe('timeout');
+  });
+
+  test('maps known revert strings from revert data', () => {
+    const decoded = decodeContractError(
+      revertWith('Error(string)', 'string', 'Only owner can call this function')
+    );
+    expect(decoded.kind).toBe('revert');
+    expect(decoded.message).toMatch(/Only the contract owner can do this/);
+  });
+
+  test('quotes unknown revert strings and panics', () => {
+    expect(
+      decodeContractError(revertWith('Error(string)', 'string', 'Something odd')).message
+    ).toBe('The contract rejected this call: "Something odd".');
+    expect(decodeContractError(revertWith('Panic(uint256)', 'uint256', 0x11)).message).toBe(
+      'The contract rejected this call: "Panic: arithmetic overflow or underflow".'
+    );
+  });
+
+  test('falls back to known revert strings inside the message', () => {
+    expect(
+      decodeContractError({ message: 'execution reverted: Invalid date range' }).message
+    ).toBe('The start date must be before the end date.');
+  });
+
+  test('names custom errors with their arguments', () => {
+    const decoded = decodeContractError({
+      code: 'CALL_EXCEPTION',
+      revert: { name: 'Unauthorized', args: ['0xabc', 2n] },
+    });
+    expect(decoded.kind).toBe('revert');
+    expect(decoded.message).toBe('The contract rejected this call with Unauthorized(0xabc, 2).');
+  });
+
+  test('reports reverts without a reason', () => {
+    expect(decodeContractError({ code: 'CALL_EXCEPTION' }).message).toBe(
+      'The contract rejected this call without giving a reason.'
+    );
+  });
+
+  test('passes anything else through with its details', () => {
+    const decoded = decodeContractError({
+      code: 'SERVER_ERROR',
+      shortMessage: 'server error',
+      message: 'server error (status=500)',
+    });
+    expect(decoded.kind).toBe('unknown');
+    expect(decoded.message).toBe('server error');
+    expect(decoded.details).toContain('Code: SERVER_ERROR');
+  });
+});
+
+describe('parseCsv', () => {
+  test('splits plain rows and keeps empty fields', () => {
+    expect(parseCsv('name,description,price\nWidget,,1.5')).toEqual([
+      ['name', 'description', 'price'],
+      ['Widget', '', '1.5'],
+    ]);
+  });
+
+  test('reads quoted fields with commas, line breaks and escaped quotes', () => {
+    const text = '"Widget, large","He said ""hi""",1.5\n"Gadget","two\nlines",2\n';
+    expect(parseCsv(text)).toEqual([
+      ['Widget, large', 'He said "hi"', '1.5'],
+      ['Gadget', 'two\nlines', '2'],
+    ]);
+  });
+
+  test('handles CRLF line endings and drops blank lines', () => {
+    expect(parseCsv('a,b\r\n\r\n , \r\nc,d\r\n')).toEqual([
+      ['a', 'b'],
+      ['c', 'd'],
+    ]);
+  });
+});
+
+describe('getReturnWriteAdapter', () => {
+  const returnsContract = (signatures) => ({ interface: new ethers.Interface(signatures) });
+  const requestReturn = 'function requestReturn(uint256 productId, string reason)';
+  const processReturn = 'function processReturn(uint256 returnRequestId, bool approved)';
+
+  test('is unavailable when the ABI declares no returns functions', () => {
+    const adapter = getReturnWriteAdapter({
+      interface: new ethers.Interface(SupplyChainManagementABI.abi),
+    });
+    expect(adapter.canRequest).toBe(false);
+    expect(adapter.canProcess).toBe(false);
+    expect(getReturnWriteAdapter(null).canRequest).toBe(false);
+  });
+
+  test('enables only the steps the ABI declares', () => {
+    const adapter = getReturnWriteAdapter(returnsContract([processReturn]));
+    expect(adapter.canRequest).toBe(false);
+    expect(adapter.canProcess).toBe(true);
+  });
+
+  test('sends requests and decisions through the declared functions', async () => {
+    const contract = returnsContract([requestReturn, processReturn]);
+    const adapter = getReturnWriteAdapter(contract);
+    const sendTransaction = jest.fn().mockResolvedValue({ status: 1 });
+
+    await adapter.request(sendTransaction, '7', 'Damaged in transit');
+    await adapter.process(sendTransaction, { id: '3', productId: '7' }, true);
+
+    expect(sendTransaction.mock.calls).toEqual([
+      [contract, 'requestReturn', ['7', 'Damaged in transit'], { productId: '7' }],
+      [contract, 'processReturn', ['3', true], { productId: '7' }],
+    ]);
+  });
+});
+
+describe('product filters', () => {
+  test('round-trip through the URL', () => {
+    const filters = {
+      from: '2024-01-01',
+      to: '2024-01-31',
+      statuses: [1, 3],
+      minPrice: '0.5',
+      maxPrice: '2',
+    };
+    const params = new URLSearchParams(serializeProductFilters(filters));
+    expect(params.toString()).toBe(
+      'from=2024-01-01&to=2024-01-31&status=1%2C3&minPrice=0.5&maxPrice=2'
+    );
+    expect(parseProductFilters(params)).toEqual(filters);
+  });
+
+  test('leave empty filters out of the URL', () => {
+    expect(serializeProductFilters(parseProductFilters(new URLSearchParams()))).toEqual({});
+  });
+
+  test('drop unknown statuses', () => {
+    expect(parseProductFilters(new URLSearchParams('status=0,9,x,4')).statuses).toEqual([0, 4]);
+  });
+});
+
+describe('fetchFilteredProducts', () => {
+  const prices = { 1: '3', 2: '0.5', 3: '1.5', 4: '2' };
+  const mockContract = () => ({
+    target: '0x00000000000000000000000000000000000000f1',
+    getProductsByDateRange: jest.fn().mockResolvedValue([1n, 2n, 3n]),
+    getProductsByStatus: jest.fn(async (status) => (status === 0 ? [2n, 4n] : [3n])),
+    getProduct: jest.fn(async (id) => ({
+      id: ethers.toBigInt(id),
+      name: `Product ${id}`,
+      description: '',
+      price: ethers.parseEther(prices[id]),
+      status: 0n,
+      createdAt: 0n,
+      sentByManufacturerAt: 0n,
+      receivedByDistributorAt: 0n,
+      sentByDistributorAt: 0n,
+      receivedByRetailerAt: 0n,
+    })),
+  });
+  const noFilters = { from: '', to: '', statuses: [], minPrice: '', maxPrice: '' };
+
+  test('intersects the date and status views, then applies the price range', async () => {
+    const contract = mockContract();
+    const { products, counts } = await fetchFilteredProducts(
+      new QueryClient(),
+      contract,
+      { from: '2024-01-01', to: '2024-01-31', statuses: [0, 1], minPrice: '1', maxPrice: '' },
+      4,
+      { isLive: false }
+    );
+
+    expect(contract.getProductsByDateRange).toHaveBeenCalledWith(
+      new Date('2024-01-01T00:00:00').getTime() / 1000,
+      new Date('2024-01-31T23:59:59').getTime() / 1000
+    );
+    expect(counts).toEqual({ date: 3, status: 3 });
+    expect(products.map((product) => product.id)).toEqual(['3']);
+    expect(contract.getProduct.mock.calls.map(([id]) => id)).toEqual([2, 3]);
+  });
+
+  test('reads every product when no filter is set', async () => {
+    const contract = mockContract();
+    const { products, counts } = await fetchFilteredProducts(
+      new QueryClient(),
+      contract,
+      noFilters,
+      4,
+      { isLive: false }
+    );
+
+    expect(contract.getProductsByDateRange).not.toHaveBeenCalled();
+    expect(contract.getProductsByStatus).not.toHaveBeenCalled();
+    expect(counts).toEqual({});
+    expect(products.map((product) => product.id)).toEqual(['1', '2', '3', '4']);
+  });
+});
+
+describe('parseTrackingCode', () => {
+  test('accepts bare product IDs', () => {
+    expect(parseTrackingCode(' 42 ')).toEqual({ productId: '42' });
+  });
+
+  test('reads tracking links', () => {
+    expect(
+      parseTrackingCode('https://example.com/track?chainId=1337&contract=0xabc&productId=5')
+    ).toEqual({ productId: '5', chainId: '1337', contract: '0xabc' });
+  });
+
+  test('rejects other links and text', () => {
+    expect(parseTrackingCode('https://example.com/history?productId=5')).toBeNull();
+    expect(parseTrackingCode('https://example.com/track?productId=abc')).toBeNull();
+    expect(parseTrackingCode('product five')).toBeNull();
+  });
+});
+
+describe('computeAnalytics', () => {
+  const DAY = 86400;
+  const now = 100 * DAY;
+  const [manufacturer, distributor, retailer] = ['0xAAA', '0xBBB', '0xCCC'];
+  const product = (fields) => ({
+    price: '1',
+    createdAt: 0,
+    sentByManufacturerAt: 0,
+    receivedByDistributorAt: 0,
+    sentByDistributorAt: 0,
+    receivedByRetailerAt: 0,
+    ...fields,
+  });
+  const data = {
+    products: [
+      product({
+        id: '1',
+        status: 4,
+        price: '2',
+        createdAt: 94 * DAY,
+        sentByManufacturerAt: 94 * DAY + 3600,
+        receivedByDistributorAt: 95 * DAY,
+        sentByDistributorAt: 95 * DAY + 7200,
+        receivedByRetailerAt: 96 * DAY,
+      }),
+      product({
+        id: '2',
+        status: 1,
+        price: '1.5',
+        createdAt: 50 * DAY,
+        sentByManufacturerAt: 98 * DAY,
+      }),
+      product({ id: '3', status: 0, price: '0.5', createdAt: 99 * DAY }),
+    ],
+    handoffs: [
+      { productId: '1', stage: 0, performer: manufacturer },
+      { productId: '1', stage: 1, performer: manufacturer },
+      { productId: '1', stage: 2, performer: distributor },
+      { productId: '1', stage: 3, performer: distributor },
+      { productId: '1', stage: 4, performer: retailer },
+      { productId: '2', stage: 0, performer: manufacturer },
+      { productId: '2', stage: 1, performer: manufacturer },
+      { productId: '3', stage: 0, performer: manufacturer },
+    ],
+  };
+
+  test('counts current status and value regardless of the window', () => {
+    const { byStatus } = computeAnalytics(data, { days: 7 }, now);
+    expect(byStatus.map(({ count, value }) => [count, value])).toEqual([
+      [1, 0.5],
+      [1, 1.5],
+      [0, 0],
+      [0, 0],
+      [1, 2],
+    ]);
+  });
+
+  test('buckets throughput by day inside the window', () => {
+    const { throughput } = computeAnalytics(data, { days: 7 }, now);
+    expect(throughput).toHaveLength(7);
+    expect(throughput.map((bucket) => bucket.created)).toEqual([0, 1, 0, 0, 0, 0, 1]);
+    expect(throughput.map((bucket) => bucket.shipped)).toEqual([0, 1, 0, 0, 0, 1, 0]);
+    expect(throughput.map((bucket) => bucket.delivered)).toEqual([0, 0, 0, 1, 0, 0, 0]);
+  });
+
+  test('starts an all-time window at the oldest product', () => {
+    const { throughput } = computeAnalytics(data, { days: null }, now);
+    expect(throughput).toHaveLength(8);
+    expect(throughput.reduce((sum, bucket) => sum + bucket.created, 0)).toBe(3);
+  });
+
+  test('measures dwell times for stages that ended in the window', () => {
+    const { dwell } = computeAnalytics(data, { days: 7 }, now);
+    expect(dwell[0]).toEqual({
+      label: 'Created → Sent by Manufacturer',
+      count: 2,
+      average: (3600 + 48 * DAY) / 2,
+      p50: 3600,
+      p90: 48 * DAY,
+    });
+    expect(dwell.slice(1).map((stage) => stage.average)).toEqual([82800, 7200, 79200]);
+  });
+
+  test('compares partners by handoffs and response time', () => {
+    const { partners } = computeAnalytics(data, { days: 7 }, now);
+    expect(partners).toEqual([
+      {
+        address: manufacturer,
+        roles: 'Manufacturer',
+        products: 3,
+        handoffs: 4,
+        averageResponse: (3600 + 48 * DAY) / 2,
+      },
+      {
+        address: distributor,
+        roles: 'Distributor',
+        products: 1,
+        handoffs: 2,
+        averageResponse: (82800 + 7200) / 2,
+      },
+      { address: retailer, roles: 'Retailer', products: 1, handoffs: 1, averageResponse: 79200 },
+    ]);
+  });
+});
+
+let mockContractCount = 0;
+
+// A provider over a fake chain whose logs and block hashes a test can rewrite.
+// `maxRange` caps the blocks one getLogs call may span, like public RPCs do.
+const mockChain = ({ latestBlock, maxRange = () => Infinity, chainId = 31337n }) => {
+  const events = new ethers.Interface(SupplyChainManagementABI.abi);
+  const chain = { latestBlock, logs: [], forks: {}, failures: [], attempts: [], ranges: [] };
+  const hashOf = (blockNumber) => ethers.id(`${chain.forks[blockNumber] || 'block'}-${blockNumber}`);
+
+  chain.addProduct = (blockNumber, productId) =>
+    chain.logs.push({
+      ...events.encodeEventLog('ProductCreated', [
+        productId,
+        '0x0000000000000000000000000000000000000001',
+        1700000000,
+      ]),
+      blockNumber,
+      index: 0,
+      transactionHash: ethers.id(`tx-${blockNumber}`),
+    });
+  chain.reorg = (fromBlock, fork) => {
+    for (let blockNumber = fromBlock; blockNumber <= chain.latestBlock; blockNumber++) {
+      chain.forks[blockNumber] = fork;
+    }
+    chain.logs = chain.logs.filter((log) => log.blockNumber < fromBlock);
+  };
+
+  const provider = {
+    getNetwork: async () => ({ chainId }),
+    getBlockNumber: async () => chain.latestBlock,
+    getBlock: async (blockNumber) => ({ number: blockNumber, hash: hashOf(blockNumber) }),
+    getLogs: async ({ fromBlock, toBlock }) => {
+      chain.attempts.push([fromBlock, toBlock]);
+      if (chain.failures.length) throw chain.failures.shift();
+      if (toBlock - fromBlock + 1 > maxRange(fromBlock)) {
+        throw new Error(`query exceeds max block range ${maxRange(fromBlock)}`);
+      }
+      chain.ranges.push([fromBlock, toBlock]);
+      return chain.logs.filter(
+        (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+      );
+    },
+  };
+
+  // Each contract gets its own index
+  chain.contract = () => ({
+    target: ethers.zeroPadValue(ethers.toBeHex(++mockContractCount), 20),
+    interface: events,
+    runner: { provider },
+  });
+  return chain;
+};
+
+const indexedProducts = async (contract) =>
+  (await getIndexedEvents(contract, 'ProductCreated')).map((event) => [
+    event.blockNumber,
+    event.args.productId,
+  ]);
+
+// Successful ranges must cover every block once, in order
+const expectContiguous = (ranges, fromBlock, toBlock) => {
+  expect(ranges[0][0]).toBe(fromBlock);
+  expect(ranges[ranges.length - 1][1]).toBe(toBlock);
+  ranges.slice(1).forEach(([start], index) => expect(start).toBe(ranges[index][1] + 1));
+};
+
+describe('syncEventIndex', () => {
+  test('indexes every log, halving the block range while the RPC refuses it', async () => {
+    const chain = mockChain({ latestBlock: 4999, maxRange: () => 500 });
+    chain.addProduct(10, 1);
+    chain.addProduct(1200, 2);
+    chain.addProduct(4999, 3);
+    const contract = chain.contract();
+
+    await syncEventIndex(contract);
+
+    expect(chain.attempts.slice(0, 3)).toEqual([
+      [0, 1999],
+      [0, 999],
+      [0, 499],
+    ]);
+    chain.ranges.forEach(([start, end]) => expect(end - start + 1).toBeLessThanOrEqual(500));
+    expectContiguous(chain.ranges, 0, 4999);
+    expect(await indexedProducts(contract)).toEqual([
+      [10, '1'],
+      [1200, '2'],
+      [4999, '3'],
+    ]);
+  });
+
+  test('resumes from the last synced block', async () => {
+    const chain = mockChain({ latestBlock: 100 });
+    chain.addProduct(50, 1);
+    const contract = chain.contract();
+    await syncEventIndex(contract);
+
+    chain.latestBlock = 150;
+    chain.addProduct(120, 2);
+    chain.ranges = [];
+    await syncEventIndex(contract);
+
+    expect(chain.ranges).toEqual([[101, 150]]);
+    expect(await indexedProducts(contract)).toEqual([
+      [50, '1'],
+      [120, '2'],
+    ]);
+  });
+
+  test('refuses to read a public chain without its deployment block', async () => {
+    const chain = mockChain({ latestBlock: 100, chainId: 80002n });
+
+    await expect(syncEventIndex(chain.contract())).rejects.toThrow(
+      'REACT_APP_AMOY_START_BLOCK must be set'
+    );
+    expect(chain.attempts).toEqual([]);
+  });
+
+  test('drops and refetches blocks that were reorged out', async () => {
+    const chain = mockChain({ latestBlock: 100 });
+    chain.addProduct(50, 1);
+    chain.addProduct(95, 2);
+    const contract = chain.contract();
+    await syncEventIndex(contract);
+
+    chain.reorg(90, 'fork');
+    chain.addProduct(97, 3);
+    chain.ranges = [];
+    await syncEventIndex(contract);
+
+    // The last 12 blocks before the stale checkpoint are fetched again
+    expect(chain.ranges).toEqual([[89, 100]]);
+    expect(await indexedProducts(contract)).toEqual([
+      [50, '1'],
+      [97, '3'],
+    ]);
+  });
+});
+
+describe('syncEventIndex retries', () => {
+  test('retries transient failures without shrinking the range', async () => {
+    const chain = mockChain({ latestBlock: 1999 });
+    chain.failures.push(new Error('request timeout'));
+    chain.addProduct(1500, 1);
+    const contract = chain.contract();
+
+    await syncEventIndex(contract);
+
+    expect(chain.attempts).toEqual([
+      [0, 1999],
+      [0, 1999],
+    ]);
+    expect(await indexedProducts(contract)).toEqual([[1500, '1']]);
+  });
+
+  test('grows the range again after the RPC refused it', async () => {
+    // Only the first blocks are too busy for a wide range
+    const chain = mockChain({
+      latestBlock: 9999,
+      maxRange: (fromBlock) => (fromBlock < 1000 ? 500 : Infinity),
+    });
+    const contract = chain.contract();
+
+    await syncEventIndex(contract);
+
+    const spans = chain.ranges.map(([start, end]) => end - start + 1);
+    expect(spans[0]).toBe(500);
+    expect(Math.max(...spans)).toBeGreaterThan(500);
+    // Never past a size the RPC has already refused
+    expect(Math.max(...spans)).toBeLessThan(1000);
+    expectContiguous(chain.ranges, 0, 9999);
+  });
+});
+
+describe('paginateActivity', () => {
+  // Newest first, one event per block
+  const events = Array.from({ length: 60 }, (_, index) => ({
+    blockNumber: 60 - index,
+    logIndex: 0,
+  }));
+  const blocks = ({ page }) => page.map((event) => event.blockNumber);
+  const at = (blockNumber, logIndex = 0) => ({ blockNumber, logIndex });
+
+  test('starts at the first page', () => {
+    const result = paginateActivity(events, { direction: -1 });
+    expect(result.page).toHaveLength(HISTORY_PAGE_SIZE);
+    expect(result.page[0].blockNumber).toBe(60);
+    expect(result.hasPrevious).toBe(false);
+    expect(result.hasNext).toBe(true);
+  });
+
+  test('pages forward after a cursor', () => {
+    const second = paginateActivity(events, { after: at(36), direction: -1 });
+    expect(blocks(second)[0]).toBe(35);
+    expect(second.hasPrevious).toBe(true);
+    expect(second.hasNext).toBe(true);
+
+    const last = paginateActivity(events, { after: at(11), direction: -1 });
+    expect(blocks(last)).toEqual([10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    expect(last.hasNext).toBe(false);
+  });
+
+  test('pages back before a cursor', () => {
+    const first = paginateActivity(events, { before: at(35), direction: -1 });
+    expect(blocks(first)[0]).toBe(60);
+    expect(first.hasPrevious).toBe(false);
+    expect(first.hasNext).toBe(true);
+
+    const middle = paginateActivity(events, { before: at(30), direction: -1 });
+    expect(blocks(middle)[0]).toBe(55);
+    expect(blocks(middle)[HISTORY_PAGE_SIZE - 1]).toBe(31);
+    expect(middle.hasPrevious).toBe(true);
+  });
+
+  test('falls back to the first page when nothing lies beyond the cursor', () => {
+    for (const cursor of [{ after: at(1) }, { before: at(60) }]) {
+      const result = paginateActivity(events, { ...cursor, direction: -1 });
+      expect(blocks(result)[0]).toBe(60);
+      expect(result.hasPrevious).toBe(false);
+    }
+  });
+
+  test('orders events in the same block by log index', () => {
+    const sameBlock = [at(1, 0), at(1, 1), at(1, 2), at(2, 0)];
+    expect(paginateActivity(sameBlock, { after: at(1, 1), direction: 1 }).page).toEqual([
+      at(1, 2),
+      at(2, 0),
+    ]);
+  });
+
+  test('returns an empty page for no events', () => {
+    expect(paginateActivity([], { after: at(5), direction: -1 })).toEqual({
+      page: [],
+      hasPrevious: false,
+      hasNext: false,
+    });
+  });
+});
+
+describe('validateNewOwner', () => {
+  const address = '0x52908400098527886E0F7030069857D2E4169EE7';
+  const roles = { owner: '0x8617E340B3D01FA5F11F306F4090FD50E238070D' };
+
+  test('ignores empty input', () => {
+    expect(validateNewOwner('  ', roles)).toEqual({ address: null, error: null });
+  });
+
+  test('rejects malformed addresses', () => {
+    expect(validateNewOwner('0x1234', roles).error).toMatch(/40 hex characters/);
+  });
+
+  test('rejects addresses with a wrong checksum', () => {
+    const mistyped = address.replace('E0F', 'e0F');
+    expect(validateNewOwner(mistyped, roles).error).toMatch(/checksum/);
+  });
+
+  test('accepts lower-case addresses and checksums them', () => {
+    expect(validateNewOwner(` ${address.toLowerCase()} `, roles)).toEqual({
+      address,
+      error: null,
+    });
+  });
+
+  test('rejects the zero address', () => {
+    expect(validateNewOwner(ethers.ZeroAddress, roles).error).toMatch(/zero address/);
+  });
+
+  test('rejects transferring to the current owner', () => {
+    const result = validateNewOwner(ethers.getAddress(roles.owner), roles);
+    expect(result.address).toBeNull();
+    expect(result.error).toMatch(/already owns/);
+  });
+});
+
+describe('mergeAddressBookEntries', () => {
+  const entry = (address, name) => ({ address, name, organisation: '', notes: '' });
+  const alice = entry('0x1111111111111111111111111111111111111111', 'Alice');
+  const bob = entry('0x2222222222222222222222222222222222222222', 'Bob');
+
+  test('adds new entries sorted by name', () => {
+    const carol = entry('0x3333333333333333333333333333333333333333', 'Carol');
+    expect(mergeAddressBookEntries([carol, bob], [alice])).toEqual([alice, bob, carol]);
+  });
+
+  test('replaces entries for the same address', () => {
+    const current = [alice, bob];
+    const renamed = { ...bob, name: 'Aaron' };
+    expect(mergeAddressBookEntries(current, [renamed])).toEqual([renamed, alice]);
+    expect(current).toEqual([alice, bob]);
+  });
+});
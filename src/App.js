@@ -1,12 +1,23 @@
 import { ethers } from "ethers";
-import React, { useState, useEffect, useCallback, useMemo } from "react";
-import { Provider } from "react-redux";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+  useContext,
+} from "react";
+import { Provider, useDispatch, useSelector } from "react-redux";
 import {
   BrowserRouter as Router,
   Route,
   Routes,
   Link,
   Navigate,
+  useSearchParams,
+  useParams,
+  useMatch,
+  useNavigate,
 } from "react-router-dom";
 import { toast, ToastContainer } from "react-toastify";
 import { createStore } from "redux";
@@ -24,9 +35,31 @@ import {
   CheckCircle,
   AlertCircle,
   ChevronRight,
+  ChevronLeft,
   Calendar,
   Clock,
-  Plus,
+  Eye,
+  Lock,
+  LogOut,
+  Wallet,
+  Activity,
+  Briefcase,
+  Upload,
+  Download,
+  Pause,
+  Play,
+  QrCode,
+  Camera,
+  ShieldCheck,
+  ShieldAlert,
+  ExternalLink,
+  BarChart3,
+  RefreshCw,
+  Layers,
+  FileText,
+  Users,
+  KeyRound,
+  BookUser,
 } from "lucide-react";
 import {
   useQuery,
@@ -38,8 +71,94 @@ import {
 import "./index.css";
 import SupplyChainManagementABI from "./abi/SupplyChainManagement.json";
 import { motion } from "framer-motion";
+import QRCode from "qrcode";
+import jsQR from "jsqr";
+
+// The block the contract was deployed in, or null when it isn't configured
+const parseStartBlock = (value) => (/^\d+$/.test(value ?? "") ? Number(value) : null);
+
+// Network registry: every chain the SupplyChainManagement contract is deployed
+// on. The contract address for each chain comes from the environment so the
+// same build can be pointed at local, testnet and staging deployments.
+const NETWORKS = [
+  {
+    key: "local",
+    chainId: Number(process.env.REACT_APP_LOCAL_CHAIN_ID || 31337),
+    name: "Local Dev Chain",
+    rpcUrls: [process.env.REACT_APP_LOCAL_RPC_URL || "http://127.0.0.1:8545"],
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    blockExplorerUrl: null,
+    blockExplorerName: null,
+    contractAddress: process.env.REACT_APP_LOCAL_CONTRACT_ADDRESS,
+    startBlock: Number(process.env.REACT_APP_LOCAL_START_BLOCK || 0),
+  },
+  {
+    key: "amoy",
+    chainId: 80002,
+    name: "Polygon Amoy",
+    rpcUrls: [
+      process.env.REACT_APP_AMOY_RPC_URL || "https://rpc-amoy.polygon.technology",
+    ],
+    nativeCurrency: { name: "MATIC", symbol: "MATIC", decimals: 18 },
+    blockExplorerUrl: "https://www.oklink.com/amoy",
+    blockExplorerName: "OKLink",
+    contractAddress:
+      process.env.REACT_APP_AMOY_CONTRACT_ADDRESS ||
+      process.env.REACT_APP_CONTRACT_ADDRESS,
+    startBlock: parseStartBlock(process.env.REACT_APP_AMOY_START_BLOCK),
+  },
+  process.env.REACT_APP_STAGING_CHAIN_ID && {
+    key: "staging",
+    chainId: Number(process.env.REACT_APP_STAGING_CHAIN_ID),
+    name: process.env.REACT_APP_STAGING_NAME || "Staging",
+    rpcUrls: [process.env.REACT_APP_STAGING_RPC_URL].filter(Boolean),
+    nativeCurrency: {
+      name: process.env.REACT_APP_STAGING_CURRENCY_SYMBOL || "ETH",
+      symbol: process.env.REACT_APP_STAGING_CURRENCY_SYMBOL || "ETH",
+      decimals: 18,
+    },
+    blockExplorerUrl: process.env.REACT_APP_STAGING_EXPLORER_URL || null,
+    blockExplorerName: process.env.REACT_APP_STAGING_EXPLORER_URL
+      ? "Explorer"
+      : null,
+    contractAddress: process.env.REACT_APP_STAGING_CONTRACT_ADDRESS,
+    startBlock: parseStartBlock(process.env.REACT_APP_STAGING_START_BLOCK),
+  },
+]
+  .filter(Boolean)
+  .reduce((networks, network) => ({ ...networks, [network.chainId]: network }), {});
+
+const DEFAULT_CHAIN_ID = Number(process.env.REACT_APP_DEFAULT_CHAIN_ID || 80002);
+
+// Only networks with a known deployment can be selected in the app
+const SUPPORTED_NETWORKS = Object.values(NETWORKS).filter(
+  (network) => network.contractAddress
+);
+
+const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
 
-const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS;
+const getNetwork = (chainId) =>
+  chainId != null ? NETWORKS[Number(chainId)] || null : null;
+
+// Reading logs from genesis would take thousands of requests on a public
+// chain, so only the local chain may leave its start block unset
+const getStartBlock = (chainId) => {
+  const network = getNetwork(chainId);
+  if (network?.startBlock == null) {
+    throw new Error(
+      network
+        ? `REACT_APP_${network.key.toUpperCase()}_START_BLOCK must be set to the block the contract was deployed in on ${network.name}`
+        : `No contract deployment is configured for chain ${chainId}`
+    );
+  }
+  return network.startBlock;
+};
+
+const getExplorerTxUrl = (chainId, transactionHash) => {
+  const network = getNetwork(chainId);
+  if (!network?.blockExplorerUrl || !transactionHash) return null;
+  return `${network.blockExplorerUrl}/tx/${transactionHash}`;
+};
 
 // Updated customToast function
 const customToast = (message, type = 'info', options = {}) => {
@@ -59,7 +178,7 @@ const customToast = (message, type = 'info', options = {}) => {
   const mergedOptions = { ...defaultOptions, ...options };
 
   // Generate a unique ID for this toast
-  const toastId = `${type}-${message}`;
+  const toastId = options.toastId || `${type}-${message}`;
 
   // Check if this toast is already active
   if (toast.isActive(toastId)) {
@@ -81,8 +200,236 @@ const customToast = (message, type = 'info', options = {}) => {
   }
 };
 
-// Set up contract details
-// const CONTRACT_ADDRESS = "0x8464135c8F25Da09e49BC8782676a84730C318bC"; // Change to your deployed contract address
+// Contract error decoding
+
+const contractInterface = new ethers.Interface(SupplyChainManagementABI.abi);
+
+// Revert strings thrown by SupplyChainManagement, mapped to what the user
+// can actually do about them
+const REVERT_MESSAGES = {
+  "Only owner can call this function":
+    "Only the contract owner can do this. Switch your wallet to the owner account.",
+  "Only manufacturer can call this function":
+    "Only the manufacturer can do this. Switch your wallet to the manufacturer account.",
+  "Only distributor can call this function":
+    "Only the distributor can do this. Switch your wallet to the distributor account.",
+  "Only retailer can call this function":
+    "Only the retailer can do this. Switch your wallet to the retailer account.",
+  "Product is not in the correct state":
+    "This product is not at the right stage for this action. It may already have been sent or received; refresh the list to see its current status.",
+  "Invalid address":
+    "One of the addresses is invalid. Check that every role address is filled in and is not the zero address.",
+  "Invalid date range": "The start date must be before the end date.",
+  "Name cannot be empty": "The product name cannot be empty.",
+  "Price must be greater than zero": "The price must be greater than zero.",
+  "New owner is the zero address": "The new owner cannot be the zero address.",
+};
+
+const PANIC_REASONS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x32: "array index out of bounds",
+};
+
+// Walks the nested error objects that wallets and ethers wrap around each
+// other, outermost first
+const unwrapErrors = (error) => {
+  const chain = [];
+  const queue = [error];
+  while (queue.length && chain.length < 10) {
+    const current = queue.shift();
+    if (!current || typeof current !== "object" || chain.includes(current)) continue;
+    chain.push(current);
+    queue.push(
+      current.info?.error,
+      current.error,
+      current.data?.originalError,
+      current.cause
+    );
+  }
+  return chain;
+};
+
+const findRevertData = (errors) => {
+  for (const candidate of errors) {
+    const data = typeof candidate.data === "object" ? candidate.data?.data : candidate.data;
+    if (typeof data === "string" && data.startsWith("0x") && data.length >= 10) {
+      return data;
+    }
+  }
+  return null;
+};
+
+const decodeRevertData = (data) => {
+  const selector = data.slice(0, 10);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  try {
+    if (selector === "0x08c379a0") {
+      return { reason: coder.decode(["string"], `0x${data.slice(10)}`)[0] };
+    }
+    if (selector === "0x4e487b71") {
+      const code = Number(coder.decode(["uint256"], `0x${data.slice(10)}`)[0]);
+      return { reason: `Panic: ${PANIC_REASONS[code] || `code ${code}`}` };
+    }
+    const customError = contractInterface.parseError(data);
+    if (customError) {
+      return { customError: customError.name, args: [...customError.args] };
+    }
+  } catch (decodeError) {
+    // Not data we know how to decode
+  }
+  return null;
+};
+
+const formatErrorDetails = (error, errors) => {
+  const lines = [];
+  for (const candidate of errors) {
+    const message = candidate.shortMessage || candidate.message;
+    if (message && !lines.includes(message)) lines.push(message);
+  }
+  if (error.code) lines.push(`Code: ${error.code}`);
+  if (error.transaction?.to) lines.push(`To: ${error.transaction.to}`);
+  if (error.receipt?.hash) lines.push(`Transaction: ${error.receipt.hash}`);
+  return lines.join("\n");
+};
+
+// Turns an ethers v6 / EIP-1193 error into { kind, title, message, details }
+export const decodeContractError = (error) => {
+  const errors = unwrapErrors(error);
+  const codes = errors.map((candidate) => candidate.code);
+  const text = errors
+    .map((candidate) => `${candidate.shortMessage || ""} ${candidate.message || ""}`)
+    .join(" ")
+    .toLowerCase();
+  const details = formatErrorDetails(error, errors);
+  const result = (kind, title, message) => ({ kind, title, message, details });
+
+  if (codes.includes("ACTION_REJECTED") || codes.includes(4001)) {
+    return result(
+      "rejected",
+      "Request rejected",
+      "You rejected the request in your wallet. Nothing was sent."
+    );
+  }
+  if (codes.includes("INSUFFICIENT_FUNDS") || text.includes("insufficient funds")) {
+    return result(
+      "insufficient-funds",
+      "Insufficient funds",
+      "This account doesn't have enough of the network's native currency to pay for gas. Top it up and try again."
+    );
+  }
+  if (
+    codes.includes(4901) ||
+    codes.includes(4900) ||
+    text.includes("network changed") ||
+    text.includes("chain mismatch") ||
+    text.includes("does not match the target chain")
+  ) {
+    return result(
+      "wrong-network",
+      "Wrong network",
+      "Your wallet is on a different network than the app. Pick the network in the navigation bar and try again."
+    );
+  }
+  if (
+    codes.includes("NONCE_EXPIRED") ||
+    codes.includes("REPLACEMENT_UNDERPRICED") ||
+    text.includes("nonce too low") ||
+    text.includes("nonce has already been used") ||
+    text.includes("replacement transaction underpriced")
+  ) {
+    return result(
+      "nonce",
+      "Transaction nonce conflict",
+      "Another transaction from this account is pending or already used this nonce. Wait for pending transactions to finish, or reset the account's activity in your wallet."
+    );
+  }
+  if (
+    codes.includes("TIMEOUT") ||
+    text.includes("timeout") ||
+    text.includes("timed out")
+  ) {
+    return result(
+      "timeout",
+      "Network timeout",
+      "The RPC node didn't respond in time. The transaction may still go through; check the transaction tray before retrying."
+    );
+  }
+
+  const revertData = findRevertData(errors);
+  const decoded = revertData ? decodeRevertData(revertData) : null;
+  // Some nodes only report the revert string inside the error message
+  const reason =
+    errors.find((candidate) => candidate.reason)?.reason ||
+    error.revert?.args?.[0] ||
+    decoded?.reason ||
+    Object.keys(REVERT_MESSAGES).find((known) =>
+      text.includes(known.toLowerCase())
+    );
+  const customError = error.revert?.name !== "Error" ? error.revert?.name : null;
+
+  if (customError || decoded?.customError) {
+    const name = customError || decoded.customError;
+    const args = customError ? [...error.revert.args] : decoded.args;
+    return result(
+      "revert",
+      "Transaction reverted",
+      `The contract rejected this call with ${name}(${args.map(String).join(", ")}).`
+    );
+  }
+  if (reason || codes.includes("CALL_EXCEPTION")) {
+    return result(
+      "revert",
+      "Transaction reverted",
+      REVERT_MESSAGES[reason] ||
+        (reason
+          ? `The contract rejected this call: "${reason}".`
+          : "The contract rejected this call without giving a reason.")
+    );
+  }
+
+  return result("unknown", "Something went wrong", error.shortMessage || error.message);
+};
+
+const ContractErrorToast = ({ title, message, details }) => (
+  <div>
+    <p className="font-semibold">{title}</p>
+    <p className="text-sm mt-1">{message}</p>
+    {details && (
+      <details className="mt-2 text-xs" onClick={(e) => e.stopPropagation()}>
+        <summary className="cursor-pointer text-gray-400">Details</summary>
+        <pre className="mt-1 whitespace-pre-wrap break-all text-gray-400">
+          {details}
+        </pre>
+      </details>
+    )}
+  </div>
+);
+
+// Thrown when the user cancels a write in the confirmation dialog
+const TRANSACTION_CANCELLED = "TRANSACTION_CANCELLED";
+
+// Shows a decoded contract error; `action` names what failed, e.g.
+// "Failed to send product"
+const notifyContractError = (error, action) => {
+  if (error.code === TRANSACTION_CANCELLED) return null;
+  const decoded = decodeContractError(error);
+  customToast(
+    <ContractErrorToast
+      title={`${action}: ${decoded.title}`}
+      message={decoded.message}
+      details={decoded.details}
+    />,
+    "error",
+    {
+      toastId: `error-${action}-${decoded.kind}`,
+      autoClose: decoded.kind === "rejected" ? 3000 : 8000,
+      closeOnClick: false,
+    }
+  );
+  return decoded;
+};
 
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -95,6 +442,7 @@ const queryClient = new QueryClient({
 // Redux Actions
 const ADD_TRANSACTION = "ADD_TRANSACTION";
 const SET_TRANSACTIONS = "SET_TRANSACTIONS";
+const UPDATE_TRANSACTION = "UPDATE_TRANSACTION";
 
 export const addTransaction = (transaction) => ({
   type: ADD_TRANSACTION,
@@ -106,9 +454,29 @@ export const setTransactions = (transactions) => ({
   payload: transactions,
 });
 
+export const updateTransaction = (transactionHash, changes) => ({
+  type: UPDATE_TRANSACTION,
+  payload: { transactionHash, changes },
+});
+
+// Submitted writes are kept in localStorage so they can be watched again
+// after a reload
+const TRANSACTIONS_STORAGE_KEY = "chainflow.transactions";
+const MAX_STORED_TRANSACTIONS = 50;
+const TARGET_CONFIRMATIONS = 3;
+
+const loadStoredTransactions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TRANSACTIONS_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
 // Redux Reducer
 const initialState = {
-  transactions: [],
+  transactions: loadStoredTransactions(),
 };
 
 const transactionReducer = (state = initialState, action) => {
@@ -123,13 +491,24 @@ const transactionReducer = (state = initialState, action) => {
       }
       return {
         ...state,
-        transactions: [...state.transactions, newTransaction],
+        transactions: [...state.transactions, newTransaction].slice(
+          -MAX_STORED_TRANSACTIONS
+        ),
       };
     case SET_TRANSACTIONS:
       return {
         ...state,
         transactions: action.payload,
       };
+    case UPDATE_TRANSACTION:
+      return {
+        ...state,
+        transactions: state.transactions.map((tx) =>
+          tx.transactionHash === action.payload.transactionHash
+            ? { ...tx, ...action.payload.changes }
+            : tx
+        ),
+      };
     default:
       return state;
   }
@@ -137,1322 +516,6094 @@ const transactionReducer = (state = initialState, action) => {
 
 const store = createStore(transactionReducer);
 
-const useContract = () => {
-  const [contract, setContract] = useState(null);
-  const [account, setAccount] = useState(null);
-  const [roles, setRoles] = useState({
-    owner: null,
-    manufacturer: null,
-    distributor: null,
-    retailer: null,
-  });
-
-  const initializeContract = useCallback(async () => {
-    if (typeof window.ethereum !== "undefined") {
-      try {
-        await window.ethereum.request({ method: "eth_requestAccounts" });
-        const provider = new ethers.BrowserProvider(window.ethereum);
-
-        // Check if the current network is Polygon Amoy testnet
-        const network = await provider.getNetwork();
-        const amoyChainId = "0x13882"; // 80002 in hexadecimal
-
-        if (network.chainId.toString(16) !== amoyChainId.slice(2)) {
-          // If not on Amoy testnet, request to switch
-          try {
-            await window.ethereum.request({
-              method: "wallet_switchEthereumChain",
-              params: [{ chainId: amoyChainId }],
-            });
-          } catch (switchError) {
-            // This error code indicates that the chain has not been added to MetaMask
-            if (switchError.code === 4902) {
-              customToast(
-                "Please add the Polygon Amoy network to your wallet manually.",
-                "error"
-              );
-              return;
-            }
-            throw switchError;
-          }
-        }
-
-        const signer = await provider.getSigner();
-        const contractInstance = new ethers.Contract(
-          CONTRACT_ADDRESS,
-          SupplyChainManagementABI.abi,
-          signer
-        );
-
-        setContract(contractInstance);
-        setAccount(await signer.getAddress());
-
-        const [owner, manufacturer, distributor, retailer] = await Promise.all([
-          contractInstance.owner(),
-          contractInstance.manufacturer(),
-          contractInstance.distributor(),
-          contractInstance.retailer(),
-        ]);
-
-        setRoles({ owner, manufacturer, distributor, retailer });
+store.subscribe(() => {
+  try {
+    localStorage.setItem(
+      TRANSACTIONS_STORAGE_KEY,
+      JSON.stringify(store.getState().transactions)
+    );
+  } catch (error) {
+    console.error("Failed to persist transactions:", error);
+  }
+});
 
-        window.ethereum.on("accountsChanged", ([newAccount]) => {
-          setAccount(newAccount);
-          window.location.reload();
-        });
+const TRANSACTION_LABELS = {
+  createProduct: "Create Product",
+  sendProductByManufacturer: "Send to Distributor",
+  receiveProductByDistributor: "Receive at Distributor",
+  sendProductByDistributor: "Send to Retailer",
+  receiveProductByRetailer: "Receive at Retailer",
+  setAddresses: "Set Addresses",
+  updateProductDetails: "Update Product",
+  transferOwnership: "Transfer Ownership",
+  requestReturn: "Request Return",
+  processReturn: "Process Return",
+};
 
-        return contractInstance;
-      } catch (error) {
-        console.error("Failed to initialize Ethereum connection:", error);
-        customToast("Failed to connect to Ethereum wallet.", "error");
-      }
-    } else {
-      // Remove the notification and demo mode activation
-      setContract(null);
-      setAccount(null);
-      setRoles({
-        owner: null,
-        manufacturer: null,
-        distributor: null,
-        retailer: null,
-      });
+const getCreatedProductId = (contract, receipt) => {
+  for (const log of receipt.logs) {
+    try {
+      const event = contract.interface.parseLog(log);
+      if (event?.name === "ProductCreated") return event.args.productId.toString();
+    } catch (error) {
+      // Log from another contract
     }
-  }, []);
-
-  useEffect(() => {
-    initializeContract();
-    return () => {
-      if (window.ethereum) {
-        window.ethereum.removeAllListeners("accountsChanged");
-      }
-    };
-  }, [initializeContract]);
+  }
+  return null;
+};
 
-  return { contract, account, roles };
+const ARGUMENT_LABELS = {
+  _productId: "Product ID",
+  _name: "Name",
+  _description: "Description",
+  _price: "Price",
+  _manufacturer: "Manufacturer",
+  _distributor: "Distributor",
+  _retailer: "Retailer",
+  newOwner: "New Owner",
 };
 
-// Utility Components
-const Input = ({ className, ...props }) => (
-  <input
-    className={`w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#7E60BF] text-gray-200 placeholder-gray-400 ${className}`}
-    {...props}
-  />
-);
+// Pairs each argument with its ABI input name, in display units
+const formatCallArguments = (contract, method, args) =>
+  contract.interface.getFunction(method).inputs.map((input, index) => ({
+    label: ARGUMENT_LABELS[input.name] || input.name,
+    value:
+      input.name === "_price"
+        ? `${ethers.formatEther(args[index])} INR`
+        : args[index].toString(),
+  }));
+
+const getFeeContext = async (contract) => {
+  const provider = contract.runner.provider;
+  const from = await contract.runner.getAddress();
+  const [{ chainId }, feeData, balance] = await Promise.all([
+    provider.getNetwork(),
+    provider.getFeeData(),
+    provider.getBalance(from),
+  ]);
+  return {
+    chainId: Number(chainId),
+    from,
+    gasPrice: feeData.maxFeePerGas ?? feeData.gasPrice,
+    balance,
+  };
+};
 
-const Button = ({ children, className = "", disabled, ...props }) => (
-  <motion.button
-    whileHover={{ scale: 1.05 }}
-    whileTap={{ scale: 0.95 }}
-    className={`bg-gradient-to-r from-[#433878] to-[#7E60BF] text-white px-6 py-3 rounded-lg hover:from-[#7E60BF] hover:to-[#E4B1F0] transition duration-300 flex items-center justify-center shadow-lg ${
-      disabled ? "opacity-50 cursor-not-allowed" : ""
-    } ${className}`}
-    disabled={disabled}
-    {...props}
-  >
-    {children}
-  </motion.button>
-);
+const simulateCall = async (contract, method, args) => {
+  try {
+    await contract[method].staticCall(...args);
+    return { gasLimit: await contract[method].estimateGas(...args), revert: null };
+  } catch (error) {
+    return { gasLimit: null, revert: decodeContractError(error) };
+  }
+};
 
-const Card = ({ children, className = "" }) => (
-  <motion.div
-    initial={{ opacity: 0, y: 20 }}
-    animate={{ opacity: 1, y: 0 }}
-    transition={{ duration: 0.5 }}
-    className={`bg-gray-800 backdrop-filter backdrop-blur-lg rounded-xl p-8 shadow-xl border border-[#433878] ${className}`}
-  >
-    {children}
-  </motion.div>
-);
+// Simulates a write and estimates what it will cost before anything is sent
+const runPreflight = async (contract, method, args) => {
+  const [context, { gasLimit, revert }] = await Promise.all([
+    getFeeContext(contract),
+    simulateCall(contract, method, args),
+  ]);
+  const fee = gasLimit !== null && context.gasPrice ? gasLimit * context.gasPrice : null;
+  return { ...context, gasLimit, fee, revert };
+};
 
-// Custom Hooks
-const useProductStatus = (status) => {
-  return useMemo(() => {
-    const statusMap = {
-      0: "Created",
-      1: "Sent by Manufacturer",
-      2: "Received by Distributor",
-      3: "Sent by Distributor",
-      4: "Received by Retailer",
-    };
-    return statusMap[status] || "Unknown";
-  }, [status]);
+// Simulates every call of a batch; gas and fee add up the ones that would
+// succeed, since the others are never sent
+const runBatchPreflight = async (contract, method, batch) => {
+  const [context, results] = await Promise.all([
+    getFeeContext(contract),
+    mapWithConcurrency(batch, PRODUCT_FETCH_CONCURRENCY, (item) =>
+      simulateCall(contract, method, item.args)
+    ),
+  ]);
+  const items = batch.map((item, index) => ({ ...item, ...results[index] }));
+  const gasLimit = items
+    .filter((item) => !item.revert)
+    .reduce((sum, item) => sum + item.gasLimit, 0n);
+  const fee = context.gasPrice ? gasLimit * context.gasPrice : null;
+  return { ...context, gasLimit, fee, items };
 };
 
-// EditProductForm component
-const EditProductForm = ({ product, onSubmit, onCancel }) => {
-  const [name, setName] = useState(product.name);
-  const [description, setDescription] = useState(product.description);
-  const [price, setPrice] = useState(
-    ethers.formatEther(product.price.toString())
+const TransactionConfirmContext = React.createContext(null);
+
+// Resolves to true once the user confirms the write in the preflight dialog.
+// A request with a `batch` of calls is confirmed once for all of them.
+const TransactionConfirmProvider = ({ children }) => {
+  const [request, setRequest] = useState(null);
+
+  const confirm = useCallback(
+    (details) => new Promise((resolve) => setRequest({ ...details, resolve })),
+    []
   );
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onSubmit({
-      id: product.id,
-      name,
-      description,
-      price,
-    });
+  const close = (confirmed) => {
+    request.resolve(confirmed);
+    setRequest(null);
   };
 
   return (
-    <form onSubmit={handleSubmit} className="space-y-4">
-      <div>
-        <label
-          htmlFor="name"
-          className="block text-sm font-medium text-gray-200"
-        >
-          Name
-        </label>
-        <Input
-          type="text"
-          id="name"
-          value={name}
-          onChange={(e) => setName(e.target.value)}
-        />
-      </div>
-      <div>
-        <label
-          htmlFor="description"
-          className="block text-sm font-medium text-gray-200"
-        >
-          Description
-        </label>
-        <textarea
-          id="description"
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
-          className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50 bg-white bg-opacity-10 text-gray-200"
-        />
-      </div>
-      <div>
-        <label
-          htmlFor="price"
-          className="block text-sm font-medium text-gray-200"
-        >
-          Price (INR)
-        </label>
-        <Input
-          type="number"
-          id="price"
-          value={price}
-          onChange={(e) => setPrice(e.target.value)}
-          step="0.01"
-        />
-      </div>
-      <div className="flex justify-end space-x-2">
-        <Button onClick={onCancel} className="bg-gray-600 hover:bg-gray-700">
-          Cancel
-        </Button>
-        <Button type="submit">Save Changes</Button>
-      </div>
-    </form>
+    <TransactionConfirmContext.Provider value={confirm}>
+      {children}
+      {request &&
+        (request.batch ? (
+          <BatchConfirmDialog
+            request={request}
+            onConfirm={() => close(true)}
+            onCancel={() => close(false)}
+          />
+        ) : (
+          <TransactionConfirmDialog
+            request={request}
+            onConfirm={() => close(true)}
+            onCancel={() => close(false)}
+          />
+        ))}
+    </TransactionConfirmContext.Provider>
   );
 };
 
-const App = () => {
-  const { contract, account, roles } = useContract();
-  const [isDemoMode, setIsDemoMode] = useState(false);
-  const [isWalletMissing, setIsWalletMissing] = useState(false);
+// Address book
 
-  useEffect(() => {
-    const checkWallet = () => {
-      setIsWalletMissing(typeof window.ethereum === "undefined");
-    };
+// Names for partner wallets. They are kept in this browser only and move
+// between machines as JSON exports.
+const ADDRESS_BOOK_STORAGE_KEY = "chainflow.addressBook";
 
-    checkWallet();
-    const intervalId = setInterval(checkWallet, 5000);
+// Checksums the address and trims the text fields; throws if unusable
+const normalizeAddressBookEntry = (item) => {
+  if (!ethers.isAddress(item?.address)) throw new Error("invalid address");
+  const name = String(item.name ?? "").trim();
+  if (!name) throw new Error("a name is required");
+  return {
+    address: ethers.getAddress(item.address),
+    name,
+    organisation: String(item.organisation ?? "").trim(),
+    notes: String(item.notes ?? "").trim(),
+  };
+};
 
-    return () => clearInterval(intervalId);
-  }, []);
+const parseAddressBookEntries = (items) => {
+  if (!Array.isArray(items)) throw new Error("Expected an array of address book entries");
+  return items.map((item, index) => {
+    try {
+      return normalizeAddressBookEntry(item);
+    } catch (error) {
+      throw new Error(`Entry ${index + 1}: ${error.message}`);
+    }
+  });
+};
 
-  const hasRole = useCallback(() => {
-    if (isDemoMode) return true;
-    if (!account) return false;
-    return Object.values(roles).some(
-      (role) => role && role.toLowerCase() === account.toLowerCase()
+const loadAddressBook = () => {
+  try {
+    return parseAddressBookEntries(
+      JSON.parse(localStorage.getItem(ADDRESS_BOOK_STORAGE_KEY)) ?? []
     );
-  }, [account, roles, isDemoMode]);
+  } catch (error) {
+    console.error("Ignoring unreadable address book:", error);
+    return [];
+  }
+};
 
-  const getUserRole = useCallback(() => {
-    if (isDemoMode) return "Demo User";
-    if (!account) return null;
-    for (const [role, address] of Object.entries(roles)) {
-      if (address && address.toLowerCase() === account.toLowerCase()) {
-        return role;
-      }
-    }
-    return null;
-  }, [account, roles, isDemoMode]);
+// Incoming entries replace existing ones for the same address
+export const mergeAddressBookEntries = (current, incoming) => {
+  const byAddress = new Map(current.map((entry) => [entry.address, entry]));
+  incoming.forEach((entry) => byAddress.set(entry.address, entry));
+  return [...byAddress.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
 
-  return (
+const AddressBookContext = React.createContext(null);
+
+const AddressBookProvider = ({ children }) => {
+  const [entries, setEntries] = useState(loadAddressBook);
+
+  useEffect(() => {
+    localStorage.setItem(ADDRESS_BOOK_STORAGE_KEY, JSON.stringify(entries));
+  }, [entries]);
+
+  // Follow edits made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === ADDRESS_BOOK_STORAGE_KEY) setEntries(loadAddressBook());
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  const value = useMemo(() => {
+    const byAddress = new Map(entries.map((entry) => [entry.address.toLowerCase(), entry]));
+    return {
+      entries,
+      lookup: (address) => (address && byAddress.get(address.toLowerCase())) || null,
+      saveEntries: (incoming) =>
+        setEntries((current) => mergeAddressBookEntries(current, incoming)),
+      removeEntry: (address) =>
+        setEntries((current) => current.filter((entry) => entry.address !== address)),
+    };
+  }, [entries]);
+
+  return (
+    <AddressBookContext.Provider value={value}>{children}</AddressBookContext.Provider>
+  );
+};
+
+const useAddressBook = () => useContext(AddressBookContext);
+
+const transactionCancelled = () => {
+  const error = new Error("Transaction cancelled");
+  error.code = TRANSACTION_CANCELLED;
+  return error;
+};
+
+// Sends a contract write and records it in the transaction store. Resolves
+// with the receipt once mined, or throws like tx.wait() would. `onSubmitted`
+// fires once the wallet has broadcast the transaction. Callers confirm the
+// write first, through useSendTransaction or useSendSequentially.
+const useSubmitTransaction = () => {
+  const dispatch = useDispatch();
+  const queryClient = useQueryClient();
+
+  return useCallback(
+    async (contract, method, args, { productId = null, onSubmitted } = {}) => {
+      const tx = await contract[method](...args);
+      const record = {
+        transactionHash: tx.hash,
+        method,
+        productId: productId?.toString() ?? null,
+        chainId: Number(tx.chainId),
+        from: tx.from,
+        nonce: tx.nonce,
+        status: "submitted",
+        confirmations: 0,
+        submittedAt: Date.now(),
+      };
+      dispatch(addTransaction(record));
+      onSubmitted?.(tx);
+
+      const recordReceipt = (hash, receipt) => {
+        // Polling alone would keep serving the cached summary until it expires
+        if (record.productId) {
+          queryClient.invalidateQueries(productSummaryKey(contract, record.productId));
+        }
+        dispatch(
+          updateTransaction(hash, {
+            status: receipt.status === 1 ? "mined" : "failed",
+            confirmations: 1,
+            productId:
+              method === "createProduct"
+                ? getCreatedProductId(contract, receipt)
+                : record.productId,
+          })
+        );
+      };
+
+      try {
+        const receipt = await tx.wait();
+        recordReceipt(tx.hash, receipt);
+        return receipt;
+      } catch (error) {
+        if (error.code === "TRANSACTION_REPLACED") {
+          dispatch(
+            updateTransaction(tx.hash, {
+              status: "replaced",
+              replacedBy: error.replacement.hash,
+            })
+          );
+          // A repriced transaction is the same call under a new hash
+          if (!error.cancelled) {
+            dispatch(
+              addTransaction({
+                ...record,
+                transactionHash: error.replacement.hash,
+                submittedAt: Date.now(),
+              })
+            );
+            recordReceipt(error.replacement.hash, error.receipt);
+            if (error.receipt.status === 1) return error.receipt;
+          }
+        } else if (error.receipt) {
+          recordReceipt(tx.hash, error.receipt);
+        }
+        // Anything else (timeouts, dropped connections) stays "submitted"
+        // and is picked up by the watcher
+        throw error;
+      }
+    },
+    [dispatch, queryClient]
+  );
+};
+
+// useSubmitTransaction after the user confirms the simulated call
+const useSendTransaction = () => {
+  const submitTransaction = useSubmitTransaction();
+  const confirm = useContext(TransactionConfirmContext);
+
+  return useCallback(
+    async (contract, method, args, options) => {
+      if (confirm && !(await confirm({ contract, method, args }))) {
+        throw transactionCancelled();
+      }
+      return submitTransaction(contract, method, args, options);
+    },
+    [submitTransaction, confirm]
+  );
+};
+
+// Sends one `method` call per item in order, after the user confirms the
+// whole batch. Each is signed only once the previous one is broadcast so the
+// wallet assigns gap-free nonces. Items are simulated again right before
+// sending, and a rejection in the wallet or `shouldStop` leaves the rest
+// unsent. Resolves with the unsent items once the others have settled.
+const useSendSequentially = () => {
+  const submitTransaction = useSubmitTransaction();
+  const confirm = useContext(TransactionConfirmContext);
+
+  return useCallback(
+    async (
+      contract,
+      method,
+      items,
+      {
+        getArgs,
+        getLabel,
+        getProductId = () => null,
+        shouldStop = () => false,
+        onSending,
+        onSubmitted,
+        onMined,
+        onFailed,
+      }
+    ) => {
+      const batch = items.map((item) => ({ label: getLabel(item), args: getArgs(item) }));
+      if (confirm && !(await confirm({ contract, method, batch }))) {
+        throw transactionCancelled();
+      }
+
+      const pending = [];
+      const unsent = [];
+      let stopped = false;
+
+      for (const [index, item] of items.entries()) {
+        if (stopped || shouldStop()) {
+          unsent.push(item);
+          continue;
+        }
+        onSending?.(item);
+        const { args } = batch[index];
+        try {
+          await contract[method].staticCall(...args);
+        } catch (error) {
+          onFailed(item, error, { submitted: false });
+          continue;
+        }
+
+        // Resolves once broadcast, or on failure before that; mining goes on
+        // in the background
+        const { rejected } = await new Promise((resolve) => {
+          let submitted = false;
+          pending.push(
+            submitTransaction(contract, method, args, {
+              productId: getProductId(item),
+              onSubmitted: (tx) => {
+                submitted = true;
+                onSubmitted?.(item, tx);
+                resolve({ rejected: false });
+              },
+            }).then(
+              (receipt) => onMined(item, receipt),
+              (error) => {
+                onFailed(item, error, { submitted });
+                resolve({ rejected: decodeContractError(error).kind === "rejected" });
+              }
+            )
+          );
+        });
+        if (rejected) stopped = true;
+      }
+
+      await Promise.all(pending);
+      return unsent;
+    },
+    [submitTransaction, confirm]
+  );
+};
+
+const checkTransaction = async (provider, record, blockNumber) => {
+  const receipt = await provider.getTransactionReceipt(record.transactionHash);
+  if (receipt) {
+    const status = receipt.status === 1 ? "mined" : "failed";
+    const confirmations = Math.min(
+      Math.max(blockNumber - receipt.blockNumber + 1, 1),
+      TARGET_CONFIRMATIONS
+    );
+    return status !== record.status || confirmations !== record.confirmations
+      ? { status, confirmations }
+      : null;
+  }
+
+  // Without a receipt, a used-up nonce means another transaction took its
+  // place. Check the receipt again in case it was mined in between.
+  const latestNonce = await provider.getTransactionCount(record.from, "latest");
+  if (
+    latestNonce > record.nonce &&
+    !(await provider.getTransactionReceipt(record.transactionHash))
+  ) {
+    return { status: "replaced" };
+  }
+  return null;
+};
+
+// Follows every stored transaction on the active chain until it has been
+// mined with enough confirmations, failed or been replaced
+const useTransactionWatcher = (contract, chainId) => {
+  const dispatch = useDispatch();
+  const queryClient = useQueryClient();
+  const transactions = useSelector((state) => state.transactions);
+  const watched = transactions.filter(
+    (tx) =>
+      tx.chainId === chainId &&
+      (tx.status === "submitted" ||
+        (tx.status === "mined" && tx.confirmations < TARGET_CONFIRMATIONS))
+  );
+  const watchedRef = useRef(watched);
+  watchedRef.current = watched;
+  const watchKey = watched.map((tx) => tx.transactionHash).join(",");
+
+  useEffect(() => {
+    const provider = contract?.runner?.provider;
+    if (!provider || !watchKey) return;
+
+    let cancelled = false;
+    let isChecking = false;
+    const checkAll = async (blockNumber) => {
+      if (isChecking) return;
+      isChecking = true;
+      try {
+        for (const record of watchedRef.current) {
+          const changes = await checkTransaction(provider, record, blockNumber);
+          if (!cancelled && changes) {
+            dispatch(updateTransaction(record.transactionHash, changes));
+            if (record.status === "submitted" && record.productId) {
+              queryClient.invalidateQueries(productSummaryKey(contract, record.productId));
+            }
+          }
+        }
+      } catch (error) {
+        console.error("Failed to check pending transactions:", error);
+      } finally {
+        isChecking = false;
+      }
+    };
+
+    provider.getBlockNumber().then(checkAll, (error) =>
+      console.error("Failed to read block number:", error)
+    );
+    provider.on("block", checkAll);
+    return () => {
+      cancelled = true;
+      provider.off("block", checkAll);
+    };
+  }, [contract, watchKey, dispatch, queryClient]);
+};
+
+// Live updates
+
+// Product lists fed by each status, matching the contract view each
+// dashboard query calls
+const STATUS_QUERIES = {
+  0: "manufacturerProducts",
+  1: "receivableProducts",
+  2: "receivedProducts",
+  3: "retailerProducts",
+};
+
+const LIVE_EVENTS = [
+  "ProductCreated",
+  "ProductSent",
+  "ProductReceived",
+  "ProductStatusChanged",
+  "TransactionPerformed",
+  "ReturnRequested",
+  "ReturnProcessed",
+  "AddressesSet",
+  "OwnershipTransferred",
+];
+
+const ROLE_EVENTS = ["AddressesSet", "OwnershipTransferred"];
+
+const LiveUpdatesContext = React.createContext(false);
+
+// Polling interval for a query: none while contract events keep the cache
+// fresh, `interval` otherwise
+const usePollingInterval = (interval) =>
+  useContext(LiveUpdatesContext) ? false : interval;
+
+// Some RPC endpoints don't support log filters; those fall back to polling
+const supportsEventSubscriptions = async (contract) => {
+  try {
+    const provider = contract.runner.provider;
+    const filterId = await provider.send("eth_newFilter", [
+      { address: contract.target, fromBlock: "latest" },
+    ]);
+    await provider.send("eth_uninstallFilter", [filterId]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const applyContractEvent = (queryClient, contractAddress, eventName, args) => {
+  const invalidate = (...key) => queryClient.invalidateQueries(key);
+
+  // ReturnProcessed carries no product ID; returns are cached as one list
+  if (eventName === "ReturnRequested" || eventName === "ReturnProcessed") {
+    invalidate("returns", contractAddress);
+    return;
+  }
+  // Role events carry no product ID either; only the activity feed shows them
+  if (ROLE_EVENTS.includes(eventName)) {
+    invalidate("transactionHistory", contractAddress);
+    return;
+  }
+
+  const productId = args.productId.toString();
+
+  switch (eventName) {
+    case "ProductCreated":
+      invalidate("ownerProductCount", contractAddress);
+      invalidate(STATUS_QUERIES[0], contractAddress);
+      break;
+    case "ProductStatusChanged": {
+      const oldStatus = Number(args.oldStatus);
+      const newStatus = Number(args.newStatus);
+      [oldStatus, newStatus].forEach(
+        (status) =>
+          STATUS_QUERIES[status] &&
+          invalidate(STATUS_QUERIES[status], contractAddress)
+      );
+      break;
+    }
+    case "ProductSent":
+    case "ProductReceived":
+      // ProductStatusChanged accompanies these and updates the lists
+      break;
+    case "TransactionPerformed":
+      invalidate("transactionHistory", contractAddress);
+      invalidate("productStages", contractAddress, productId);
+      break;
+    default:
+      return;
+  }
+  // Mark just this product stale; the owner's page then re-reads only it
+  invalidate("productSummary", contractAddress, productId);
+  invalidate("ownerProducts", contractAddress);
+  invalidate("ownerFilteredProducts", contractAddress);
+  invalidate("portfolio", contractAddress);
+  invalidate("analytics", contractAddress);
+  invalidate("product", contractAddress, productId);
+};
+
+// Subscribes to the contract's product events and refreshes only the cached
+// queries each event touches. Returns whether the subscription is live.
+const useContractEvents = (contract) => {
+  const queryClient = useQueryClient();
+  const [isLive, setIsLive] = useState(false);
+
+  useEffect(() => {
+    if (!contract) return;
+
+    let cancelled = false;
+    const contractAddress = contract.target;
+    const listeners = LIVE_EVENTS.map((eventName) => [
+      eventName,
+      (...eventArgs) => {
+        const payload = eventArgs[eventArgs.length - 1];
+        applyContractEvent(queryClient, contractAddress, eventName, payload.args);
+      },
+    ]);
+
+    (async () => {
+      if (!(await supportsEventSubscriptions(contract)) || cancelled) {
+        setIsLive(false);
+        return;
+      }
+      try {
+        await Promise.all(
+          listeners.map(([eventName, listener]) => contract.on(eventName, listener))
+        );
+        if (!cancelled) setIsLive(true);
+      } catch (error) {
+        console.error("Failed to subscribe to contract events:", error);
+        if (!cancelled) setIsLive(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      setIsLive(false);
+      listeners.forEach(([eventName, listener]) => contract.off(eventName, listener));
+    };
+  }, [contract, queryClient]);
+
+  return isLive;
+};
+
+const addNetworkToWallet = (walletProvider, network) =>
+  walletProvider.request({
+    method: "wallet_addEthereumChain",
+    params: [
+      {
+        chainId: toHexChainId(network.chainId),
+        chainName: network.name,
+        rpcUrls: network.rpcUrls,
+        nativeCurrency: network.nativeCurrency,
+        ...(network.blockExplorerUrl && {
+          blockExplorerUrls: [network.blockExplorerUrl],
+        }),
+      },
+    ],
+  });
+
+const switchWalletNetwork = async (walletProvider, chainId) => {
+  const network = getNetwork(chainId);
+  if (!network) throw new Error(`Unsupported network: ${chainId}`);
+
+  try {
+    await walletProvider.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: toHexChainId(network.chainId) }],
+    });
+  } catch (switchError) {
+    // This error code indicates that the chain has not been added to the wallet
+    const code = switchError.data?.originalError?.code ?? switchError.code;
+    if (code === 4902) {
+      // Adding a chain also switches the wallet to it
+      await addNetworkToWallet(walletProvider, network);
+      return;
+    }
+    throw switchError;
+  }
+};
+
+const readRoles = async (contractInstance) => {
+  const [owner, manufacturer, distributor, retailer] = await Promise.all([
+    contractInstance.owner(),
+    contractInstance.manufacturer(),
+    contractInstance.distributor(),
+    contractInstance.retailer(),
+  ]);
+  return { owner, manufacturer, distributor, retailer };
+};
+
+// Contract bound to the network's configured JSON-RPC endpoint, used when no
+// wallet is connected. It can call views but never send transactions.
+const createReadOnlyContract = (network) => {
+  const provider = new ethers.JsonRpcProvider(
+    network.rpcUrls[0],
+    network.chainId,
+    { staticNetwork: true }
+  );
+  return new ethers.Contract(
+    network.contractAddress,
+    SupplyChainManagementABI.abi,
+    provider
+  );
+};
+
+// Queries whose results depend on which account is connected; these are
+// refetched when the wallet switches accounts
+const ACCOUNT_SCOPED_QUERIES = [
+  "ownerProducts",
+  "manufacturerProducts",
+  "receivableProducts",
+  "receivedProducts",
+  "retailerProducts",
+];
+
+const EMPTY_ROLES = {
+  owner: null,
+  manufacturer: null,
+  distributor: null,
+  retailer: null,
+};
+
+const WALLET_STORAGE_KEY = "chainflow.connectedWallet";
+
+// Stand-in for wallets that predate EIP-6963 and only inject window.ethereum
+const LEGACY_WALLET_INFO = {
+  uuid: "legacy-injected",
+  name: "Browser Wallet",
+  icon: null,
+  rdns: "injected",
+};
+
+// Collects every wallet that announces itself through EIP-6963
+const useWalletDiscovery = () => {
+  const [announced, setAnnounced] = useState([]);
+
+  useEffect(() => {
+    const handleAnnounce = (event) => {
+      const { info, provider } = event.detail;
+      setAnnounced((current) =>
+        current.some((wallet) => wallet.info.uuid === info.uuid)
+          ? current
+          : [...current, { info, provider }]
+      );
+    };
+
+    window.addEventListener("eip6963:announceProvider", handleAnnounce);
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+    return () =>
+      window.removeEventListener("eip6963:announceProvider", handleAnnounce);
+  }, []);
+
+  return useMemo(() => {
+    if (announced.length || typeof window.ethereum === "undefined") {
+      return announced;
+    }
+    return [{ info: LEGACY_WALLET_INFO, provider: window.ethereum }];
+  }, [announced]);
+};
+
+const useContract = () => {
+  const queryClient = useQueryClient();
+  const wallets = useWalletDiscovery();
+  const [wallet, setWallet] = useState(null);
+  const [contract, setContract] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [isReadOnly, setIsReadOnly] = useState(false);
+  const [roles, setRoles] = useState(EMPTY_ROLES);
+  // True until the first connection attempt settles, so routes can wait
+  // instead of redirecting a deep link before any contract exists
+  const [isConnecting, setIsConnecting] = useState(true);
+  const chainIdRef = useRef(null);
+  // Incremented on every connection attempt so a slow, superseded attempt
+  // (e.g. the initial read-only load) can't overwrite a newer one
+  const connectionRef = useRef(0);
+  const restoreAttemptedRef = useRef(false);
+
+  useEffect(() => {
+    chainIdRef.current = chainId;
+  }, [chainId]);
+
+  const connectReadOnly = useCallback(async (targetChainId) => {
+    const attempt = ++connectionRef.current;
+    const network = getNetwork(targetChainId);
+    if (!network?.contractAddress || !network.rpcUrls.length) {
+      setContract(null);
+      setAccount(null);
+      setChainId(null);
+      setIsReadOnly(false);
+      setRoles(EMPTY_ROLES);
+      setIsConnecting(false);
+      return;
+    }
+
+    try {
+      const contractInstance = createReadOnlyContract(network);
+      const nextRoles = await readRoles(contractInstance);
+      if (attempt !== connectionRef.current) return;
+
+      setContract(contractInstance);
+      setAccount(null);
+      setChainId(network.chainId);
+      setIsReadOnly(true);
+      setRoles(nextRoles);
+      return contractInstance;
+    } catch (error) {
+      console.error("Failed to initialize read-only connection:", error);
+      customToast(`Failed to reach the ${network.name} RPC endpoint.`, "error");
+    } finally {
+      // A superseded attempt leaves the flag to the one that replaced it
+      if (attempt === connectionRef.current) setIsConnecting(false);
+    }
+  }, []);
+
+  // Builds the signer-backed contract for whichever account and chain the
+  // wallet currently has selected. State is only updated once everything has
+  // been read so routes never see a new account paired with stale roles.
+  const bindWallet = useCallback(async (walletProvider) => {
+    const attempt = ++connectionRef.current;
+    try {
+      const provider = new ethers.BrowserProvider(walletProvider);
+      const { chainId: activeChainId } = await provider.getNetwork();
+      const network = getNetwork(activeChainId);
+      const signer = await provider.getSigner();
+      const address = await signer.getAddress();
+
+      if (!network?.contractAddress) {
+        if (attempt !== connectionRef.current) return null;
+        setContract(null);
+        setAccount(address);
+        setChainId(Number(activeChainId));
+        setIsReadOnly(false);
+        setRoles(EMPTY_ROLES);
+        customToast(
+          "No SupplyChainManagement deployment is configured for this network.",
+          "error"
+        );
+        return null;
+      }
+
+      const contractInstance = new ethers.Contract(
+        network.contractAddress,
+        SupplyChainManagementABI.abi,
+        signer
+      );
+      const nextRoles = await readRoles(contractInstance);
+      if (attempt !== connectionRef.current) return null;
+
+      setContract(contractInstance);
+      setAccount(address);
+      setChainId(network.chainId);
+      setIsReadOnly(false);
+      setRoles(nextRoles);
+      return contractInstance;
+    } finally {
+      if (attempt === connectionRef.current) setIsConnecting(false);
+    }
+  }, []);
+
+  // Explicit connection chosen by the user; this is the only place that
+  // prompts the wallet for accounts
+  const connect = useCallback(
+    async (selected) => {
+      try {
+        await selected.provider.request({ method: "eth_requestAccounts" });
+        const provider = new ethers.BrowserProvider(selected.provider);
+
+        // Stay on the active chain if we have a deployment there, otherwise
+        // move the wallet to the default network
+        const { chainId: activeChainId } = await provider.getNetwork();
+        if (!getNetwork(activeChainId)?.contractAddress) {
+          await switchWalletNetwork(selected.provider, DEFAULT_CHAIN_ID);
+        }
+
+        await bindWallet(selected.provider);
+        setWallet(selected);
+        localStorage.setItem(WALLET_STORAGE_KEY, selected.info.rdns);
+        return true;
+      } catch (error) {
+        console.error("Failed to initialize Ethereum connection:", error);
+        customToast(`Failed to connect to ${selected.info.name}.`, "error");
+        return false;
+      }
+    },
+    [bindWallet]
+  );
+
+  const disconnect = useCallback(async () => {
+    const current = wallet;
+    localStorage.removeItem(WALLET_STORAGE_KEY);
+    setWallet(null);
+    await connectReadOnly(chainIdRef.current ?? DEFAULT_CHAIN_ID);
+
+    // Wallets that support it also drop the site's permission, so the next
+    // connect asks again instead of silently reusing the account
+    try {
+      await current?.provider.request({
+        method: "wallet_revokePermissions",
+        params: [{ eth_accounts: {} }],
+      });
+    } catch (error) {
+      // Not every wallet implements permission revocation
+    }
+  }, [wallet, connectReadOnly]);
+
+  const switchNetwork = useCallback(
+    async (targetChainId) => {
+      if (!wallet) {
+        await connectReadOnly(targetChainId);
+        return;
+      }
+      try {
+        await switchWalletNetwork(wallet.provider, targetChainId);
+        await bindWallet(wallet.provider);
+      } catch (error) {
+        console.error("Failed to switch network:", error);
+        customToast(
+          `Failed to switch to ${getNetwork(targetChainId)?.name || "network"}.`,
+          "error"
+        );
+      }
+    },
+    [wallet, bindWallet, connectReadOnly]
+  );
+
+  // Show on-chain data straight away; a remembered wallet upgrades the
+  // connection once it has announced itself
+  useEffect(() => {
+    connectReadOnly(DEFAULT_CHAIN_ID);
+  }, [connectReadOnly]);
+
+  // Reconnect the remembered wallet without prompting: eth_accounts only
+  // returns accounts the user has already authorised for this site
+  useEffect(() => {
+    if (restoreAttemptedRef.current) return;
+    const rememberedRdns = localStorage.getItem(WALLET_STORAGE_KEY);
+    const remembered =
+      rememberedRdns &&
+      wallets.find((candidate) => candidate.info.rdns === rememberedRdns);
+    if (!remembered) return;
+
+    restoreAttemptedRef.current = true;
+    (async () => {
+      try {
+        const accounts = await remembered.provider.request({
+          method: "eth_accounts",
+        });
+        if (!accounts.length) {
+          localStorage.removeItem(WALLET_STORAGE_KEY);
+          return;
+        }
+        await bindWallet(remembered.provider);
+        setWallet(remembered);
+      } catch (error) {
+        console.error("Failed to restore wallet connection:", error);
+      }
+    })();
+  }, [wallets, bindWallet]);
+
+  useEffect(() => {
+    if (!wallet) return;
+    const walletProvider = wallet.provider;
+
+    const handleDisconnect = () => {
+      // Keep showing the last network's data without a signer
+      setWallet(null);
+      connectReadOnly(chainIdRef.current ?? DEFAULT_CHAIN_ID);
+    };
+
+    const handleAccountsChanged = async (accounts) => {
+      if (!accounts.length) {
+        handleDisconnect();
+        return;
+      }
+      try {
+        await bindWallet(walletProvider);
+        queryClient.invalidateQueries({
+          predicate: (query) => ACCOUNT_SCOPED_QUERIES.includes(query.queryKey[0]),
+        });
+      } catch (error) {
+        console.error("Failed to switch account:", error);
+        customToast("Failed to load the selected account.", "error");
+      }
+    };
+
+    // Queries are keyed by contract address, so a new chain (and with it a
+    // new deployment) gets its own cache entries without clearing the others
+    const handleChainChanged = async () => {
+      try {
+        await bindWallet(walletProvider);
+      } catch (error) {
+        console.error("Failed to switch network:", error);
+        customToast("Failed to load the selected network.", "error");
+      }
+    };
+
+    walletProvider.on("accountsChanged", handleAccountsChanged);
+    walletProvider.on("chainChanged", handleChainChanged);
+    walletProvider.on("disconnect", handleDisconnect);
+    return () => {
+      walletProvider.removeListener("accountsChanged", handleAccountsChanged);
+      walletProvider.removeListener("chainChanged", handleChainChanged);
+      walletProvider.removeListener("disconnect", handleDisconnect);
+    };
+  }, [wallet, bindWallet, connectReadOnly, queryClient]);
+
+  // Re-reads the role holders after an ownership transfer or setAddresses
+  const refreshRoles = useCallback(async () => {
+    if (!contract) return;
+    const attempt = connectionRef.current;
+    const nextRoles = await readRoles(contract);
+    if (attempt === connectionRef.current) setRoles(nextRoles);
+  }, [contract]);
+
+  return {
+    contract,
+    account,
+    roles,
+    chainId,
+    network: getNetwork(chainId),
+    isReadOnly,
+    isConnecting,
+    wallets,
+    wallet,
+    connect,
+    disconnect,
+    switchNetwork,
+    refreshRoles,
+  };
+};
+
+// Event index
+
+// Every SupplyChainManagement log is copied into IndexedDB in block-range
+// chunks, so event reads never scan the chain. A checkpoint records the last
+// synced block and its hash; if that hash changes the block was reorged out
+// and the last INDEXER_REORG_DEPTH blocks are dropped and fetched again.
+const EVENT_DB_NAME = "chainflow.events";
+const EVENT_DB_VERSION = 1;
+const INDEXER_CHUNK_SIZE = Number(process.env.REACT_APP_INDEXER_CHUNK_SIZE || 2000);
+const INDEXER_REORG_DEPTH = Number(process.env.REACT_APP_INDEXER_REORG_DEPTH || 12);
+
+const INDEXER_MAX_RETRIES = 3;
+
+// Errors RPCs return when a log query spans too many blocks or results, as
+// opposed to transient failures that a smaller range wouldn't fix
+const LOG_RANGE_ERROR_PATTERN =
+  /block range|range (is )?too (large|wide|big)|exceeds? (the )?(max(imum)?|limit)|more than \d+ (results|logs)|response size|too many (results|logs|blocks)/i;
+
+const isLogRangeError = (error) =>
+  unwrapErrors(error).some(
+    (current) => typeof current.message === "string" && LOG_RANGE_ERROR_PATTERN.test(current.message)
+  );
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let eventDbPromise = null;
+
+const openEventDb = () => {
+  if (!eventDbPromise) {
+    eventDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const request = indexedDB.open(EVENT_DB_NAME, EVENT_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const events = db.createObjectStore("events", { keyPath: "id" });
+        events.createIndex("byName", ["contractKey", "name"]);
+        events.createIndex("byBlock", ["contractKey", "blockNumber"]);
+        db.createObjectStore("checkpoints", { keyPath: "contractKey" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next read try again rather than caching the failure
+    eventDbPromise.catch(() => {
+      eventDbPromise = null;
+    });
+  }
+  return eventDbPromise;
+};
+
+// Runs `fn` against the events and checkpoints stores in one transaction and
+// resolves with the result of the request it returns, once committed
+const runEventTransaction = async (mode, fn) => {
+  const db = await openEventDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(["events", "checkpoints"], mode);
+    const request = fn(
+      transaction.objectStore("events"),
+      transaction.objectStore("checkpoints")
+    );
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Drops every event from `fromBlock` on and moves the checkpoint back, or
+// removes it when `checkpoint` is null
+const rollbackEventIndex = (contractKey, fromBlock, checkpoint) =>
+  runEventTransaction("readwrite", (events, checkpoints) => {
+    const range = IDBKeyRange.bound(
+      [contractKey, fromBlock],
+      [contractKey, Infinity]
+    );
+    events.index("byBlock").openCursor(range).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    if (checkpoint) checkpoints.put(checkpoint);
+    else checkpoints.delete(contractKey);
+  });
+
+// Stores a chunk's events together with the checkpoint that covers them
+const storeEventChunk = (events, checkpoint) =>
+  runEventTransaction("readwrite", (eventStore, checkpoints) => {
+    events.forEach((event) => eventStore.put(event));
+    checkpoints.put(checkpoint);
+  });
+
+// Plain, structured-clone friendly copy of a log; uints are kept as strings
+const toIndexedEvent = (contractKey, contract, log) => {
+  const parsed = contract.interface.parseLog(log);
+  if (!parsed) return null;
+  return {
+    id: `${contractKey}:${log.blockNumber}:${log.index}`,
+    contractKey,
+    name: parsed.name,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    transactionHash: log.transactionHash,
+    args: Object.fromEntries(
+      parsed.fragment.inputs.map((input, index) => {
+        const value = parsed.args[index];
+        return [input.name, typeof value === "bigint" ? value.toString() : value];
+      })
+    ),
+  };
+};
+
+export const syncEventIndex = async (contract) => {
+  const provider = contract.runner.provider;
+  const { chainId } = await provider.getNetwork();
+  const contractKey = `${chainId}:${contract.target.toLowerCase()}`;
+  const startBlock = getStartBlock(chainId);
+
+  let checkpoint = await runEventTransaction("readonly", (events, checkpoints) =>
+    checkpoints.get(contractKey)
+  );
+  if (checkpoint && checkpoint.startBlock !== startBlock) {
+    // The configured start block changed; index from scratch
+    await rollbackEventIndex(contractKey, -Infinity, null);
+    checkpoint = null;
+  }
+  if (checkpoint) {
+    const block = await provider.getBlock(checkpoint.lastSyncedBlock);
+    if (block?.hash !== checkpoint.blockHash) {
+      const anchorBlock = checkpoint.lastSyncedBlock - INDEXER_REORG_DEPTH;
+      checkpoint =
+        anchorBlock >= startBlock
+          ? {
+              contractKey,
+              startBlock,
+              lastSyncedBlock: anchorBlock,
+              blockHash: (await provider.getBlock(anchorBlock)).hash,
+            }
+          : null;
+      await rollbackEventIndex(contractKey, anchorBlock + 1, checkpoint);
+    }
+  }
+
+  const latestBlock = await provider.getBlockNumber();
+  let fromBlock = checkpoint ? checkpoint.lastSyncedBlock + 1 : startBlock;
+  let chunkSize = INDEXER_CHUNK_SIZE;
+  // Largest range not yet refused by the RPC; chunks grow back up to it
+  let chunkLimit = INDEXER_CHUNK_SIZE;
+  let failures = 0;
+
+  while (fromBlock <= latestBlock) {
+    const toBlock = Math.min(fromBlock + chunkSize - 1, latestBlock);
+    let logs;
+    try {
+      logs = await provider.getLogs({ address: contract.target, fromBlock, toBlock });
+    } catch (error) {
+      if (isLogRangeError(error) && chunkSize > 1) {
+        chunkLimit = chunkSize - 1;
+        chunkSize = Math.ceil(chunkSize / 2);
+        continue;
+      }
+      // Timeouts, rate limits and dropped connections: back off, then give up
+      // until the next sync
+      if (++failures > INDEXER_MAX_RETRIES) throw error;
+      await wait(1000 * 2 ** (failures - 1));
+      continue;
+    }
+    failures = 0;
+    chunkSize = Math.min(chunkSize * 2, chunkLimit);
+    const block = await provider.getBlock(toBlock);
+    await storeEventChunk(
+      logs
+        .map((log) => toIndexedEvent(contractKey, contract, log))
+        .filter(Boolean),
+      { contractKey, startBlock, lastSyncedBlock: toBlock, blockHash: block.hash }
+    );
+    fromBlock = toBlock + 1;
+  }
+
+  return contractKey;
+};
+
+// Queries that read the index at the same time share a single sync
+const pendingEventSyncs = new WeakMap();
+
+const syncEventIndexOnce = (contract) => {
+  if (!pendingEventSyncs.has(contract)) {
+    const sync = syncEventIndex(contract).finally(() =>
+      pendingEventSyncs.delete(contract)
+    );
+    pendingEventSyncs.set(contract, sync);
+  }
+  return pendingEventSyncs.get(contract);
+};
+
+// Indexed events of one type in chain order, optionally for a single product.
+// The index is brought up to the latest block first.
+export const getIndexedEvents = async (contract, name, { productId } = {}) => {
+  const contractKey = await syncEventIndexOnce(contract);
+  const events = await runEventTransaction("readonly", (eventStore) =>
+    eventStore.index("byName").getAll([contractKey, name])
+  );
+  return events
+    .filter(
+      (event) => productId == null || event.args.productId === productId.toString()
+    )
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+// Product loading
+
+const PRODUCT_FETCH_CONCURRENCY = 8;
+// Without live events a cached product is only trusted for this long, unless
+// one of our own transactions touching it is mined first
+const PRODUCT_CACHE_TTL = 60 * 1000;
+
+// Runs `fn` over `items` with at most `limit` calls in flight, keeping order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+const normalizeProduct = (product) => ({
+  id: product.id.toString(),
+  name: product.name || "N/A",
+  description: product.description || "N/A",
+  price: ethers.formatEther(product.price),
+  status: Number(product.status),
+  createdAt: Number(product.createdAt),
+  sentByManufacturerAt: Number(product.sentByManufacturerAt),
+  receivedByDistributorAt: Number(product.receivedByDistributorAt),
+  sentByDistributorAt: Number(product.sentByDistributorAt),
+  receivedByRetailerAt: Number(product.receivedByRetailerAt),
+});
+
+const productSummaryKey = (contract, productId) => [
+  "productSummary",
+  contract.target,
+  productId.toString(),
+];
+
+// Loads products by ID through a per-product cache. Only products that are
+// missing, invalidated by an event or (when `isLive` is false) older than
+// PRODUCT_CACHE_TTL are read from the chain, in bounded parallel batches.
+const fetchProductSummaries = async (queryClient, contract, ids, { isLive }) => {
+  const isFresh = (state) =>
+    state?.data &&
+    !state.isInvalidated &&
+    (isLive || Date.now() - state.dataUpdatedAt < PRODUCT_CACHE_TTL);
+
+  const stale = ids.filter(
+    (id) => !isFresh(queryClient.getQueryState(productSummaryKey(contract, id)))
+  );
+
+  await mapWithConcurrency(stale, PRODUCT_FETCH_CONCURRENCY, async (id) => {
+    const product = await contract.getProduct(id);
+    queryClient.setQueryData(
+      productSummaryKey(contract, id),
+      product.id.toString() === "0" ? { missing: true } : normalizeProduct(product)
+    );
+  });
+
+  return ids
+    .map((id) => queryClient.getQueryData(productSummaryKey(contract, id)))
+    .filter((product) => product && !product.missing);
+};
+
+export const parseProductFilters = (searchParams) => ({
+  from: searchParams.get("from") || "",
+  to: searchParams.get("to") || "",
+  statuses: (searchParams.get("status") || "")
+    .split(",")
+    .filter((status) => status !== "" && PRODUCT_STATUS_LABELS[status] !== undefined)
+    .map(Number),
+  minPrice: searchParams.get("minPrice") || "",
+  maxPrice: searchParams.get("maxPrice") || "",
+});
+
+export const serializeProductFilters = (filters) =>
+  Object.fromEntries(
+    Object.entries({
+      from: filters.from,
+      to: filters.to,
+      status: filters.statuses.join(","),
+      minPrice: filters.minPrice,
+      maxPrice: filters.maxPrice,
+    }).filter(([, value]) => value !== "")
+  );
+
+const hasProductFilters = (filters) =>
+  Object.keys(serializeProductFilters(filters)).length > 0;
+
+// Narrows product IDs with the contract's date and status views, then applies
+// the price range to the fetched summaries, which the contract can't filter
+export const fetchFilteredProducts = async (queryClient, contract, filters, productCount, { isLive }) => {
+  const counts = {};
+  let ids = null;
+  const intersect = (matches) => {
+    ids = ids ? ids.filter((id) => matches.has(id)) : [...matches];
+  };
+
+  if (filters.from || filters.to) {
+    // Dates are local calendar days; the range includes the whole end day
+    const start = filters.from
+      ? Math.floor(new Date(`${filters.from}T00:00:00`).getTime() / 1000)
+      : 0;
+    const end = filters.to
+      ? Math.floor(new Date(`${filters.to}T23:59:59`).getTime() / 1000)
+      : ethers.MaxUint256;
+    const matches = new Set(
+      (await contract.getProductsByDateRange(start, end)).map((id) => Number(id))
+    );
+    counts.date = matches.size;
+    intersect(matches);
+  }
+
+  if (filters.statuses.length > 0) {
+    const lists = await Promise.all(
+      filters.statuses.map((status) => contract.getProductsByStatus(status))
+    );
+    const matches = new Set(lists.flat().map((id) => Number(id)));
+    counts.status = matches.size;
+    intersect(matches);
+  }
+
+  if (!ids) ids = Array.from({ length: productCount }, (_, index) => index + 1);
+  ids.sort((a, b) => a - b);
+
+  const minPrice = filters.minPrice === "" ? null : Number(filters.minPrice);
+  const maxPrice = filters.maxPrice === "" ? null : Number(filters.maxPrice);
+  const products = (await fetchProductSummaries(queryClient, contract, ids, { isLive })).filter(
+    (product) =>
+      (minPrice === null || Number(product.price) >= minPrice) &&
+      (maxPrice === null || Number(product.price) <= maxPrice)
+  );
+
+  return { products, counts };
+};
+
+// The role a handoff is performed in, from the transaction type the contract
+// records for it. Current role addresses can't tell us this for past handoffs.
+const HANDOFF_ROLES = {
+  "Product Created": "Manufacturer",
+  "Sent by Manufacturer": "Manufacturer",
+  "Received by Distributor": "Distributor",
+  "Sent by Distributor": "Distributor",
+  "Received by Retailer": "Retailer",
+};
+
+// Every product an address has touched, with the handoffs it performed
+const fetchPortfolio = async (queryClient, contract, address, { isLive }) => {
+  const ids = [...new Set((await contract.getUserProducts(address)).map((id) => Number(id)))];
+  const products = await fetchProductSummaries(queryClient, contract, ids, { isLive });
+  const handoffs = await mapWithConcurrency(
+    products,
+    PRODUCT_FETCH_CONCURRENCY,
+    async (product) => {
+      // The contract can record the same handoff more than once
+      const handoffs = new Map();
+      for (const tx of await contract.getProductTransactions(product.id)) {
+        if (tx.performer.toLowerCase() !== address.toLowerCase()) continue;
+        const key = `${tx.transactionType}-${tx.timestamp}`;
+        handoffs.set(key, {
+          key,
+          action: tx.transactionType,
+          role: HANDOFF_ROLES[tx.transactionType] || "Unknown",
+        });
+      }
+      return [...handoffs.values()];
+    }
+  );
+  return products.map((product, index) => ({ ...product, handoffs: handoffs[index] }));
+};
+
+const STAGE_TIMESTAMP_FIELDS = [
+  "createdAt",
+  "sentByManufacturerAt",
+  "receivedByDistributorAt",
+  "sentByDistributorAt",
+  "receivedByRetailerAt",
+];
+
+// HANDOFF_ROLES lists the transaction types in stage order
+const STAGE_TRANSACTION_TYPES = Object.keys(HANDOFF_ROLES);
+
+// The TransactionPerformed event behind each stage, by stage index. Only this
+// product's logs are queried; the event index is for contract-wide views.
+const fetchStageEvents = async (contract, productId) => {
+  try {
+    const { chainId } = await contract.runner.provider.getNetwork();
+    const events = await contract.queryFilter(
+      contract.filters.TransactionPerformed(productId),
+      getStartBlock(chainId)
+    );
+    return new Map(
+      events.map((event) => [
+        STAGE_TRANSACTION_TYPES.indexOf(event.args.transactionType),
+        event,
+      ])
+    );
+  } catch (error) {
+    // Without the event log the timestamps still work
+    console.error("Error fetching product events:", error);
+    return new Map();
+  }
+};
+
+// Each stage with its on-chain timestamp and, where the event log is
+// reachable, the transaction behind it
+const buildProductStages = (summary, eventsByStage) =>
+  PRODUCT_STATUS_LABELS.map((label, index) => {
+    const event = eventsByStage.get(index);
+    return {
+      label,
+      role: HANDOFF_ROLES[STAGE_TRANSACTION_TYPES[index]],
+      timestamp: summary[STAGE_TIMESTAMP_FIELDS[index]] || null,
+      performer: event?.args.performer ?? null,
+      transactionHash: event?.transactionHash ?? null,
+    };
+  });
+
+const fetchProductSummary = async (contract, productId) => {
+  const product = await contract.getProduct(productId);
+  if (product.id.toString() === "0") throw new Error("Product not found");
+  return normalizeProduct(product);
+};
+
+// Waits for the event log, so only for exports and reports; pages render
+// from the summary and fill in transactions through useStageEvents
+const fetchProductTimeline = async (contract, productId) => {
+  const [summary, eventsByStage] = await Promise.all([
+    fetchProductSummary(contract, productId),
+    fetchStageEvents(contract, productId),
+  ]);
+  return { product: summary, stages: buildProductStages(summary, eventsByStage) };
+};
+
+// Stage transactions for one product, kept out of the product query so a
+// slow log query never holds back a single product's page
+const useStageEvents = (contract, productId, { enabled = true } = {}) =>
+  useQuery(
+    ["productStages", contract?.target, productId],
+    () => fetchStageEvents(contract, productId),
+    { enabled: enabled && !!contract && !!productId }
+  );
+
+const DAY_SECONDS = 86400;
+
+const ANALYTICS_WINDOWS = [
+  { key: "7d", label: "7 days", days: 7 },
+  { key: "30d", label: "30 days", days: 30 },
+  { key: "90d", label: "90 days", days: 90 },
+  { key: "all", label: "All time", days: null },
+];
+
+// Nearest-rank percentile of an ascending list
+const percentile = (sorted, p) =>
+  sorted.length
+    ? sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)]
+    : null;
+
+// Every stage handoff on the contract, keyed by product and stage
+const fetchHandoffs = async (contract) => {
+  const events = await getIndexedEvents(contract, "TransactionPerformed");
+
+  // The contract can emit the same event more than once per call
+  const handoffs = new Map();
+  for (const event of events) {
+    const handoff = {
+      productId: event.args.productId.toString(),
+      stage: STAGE_TRANSACTION_TYPES.indexOf(event.args.transactionType),
+      performer: event.args.performer,
+      transactionHash: event.transactionHash,
+    };
+    if (handoff.stage !== -1) {
+      handoffs.set(`${handoff.productId}-${handoff.stage}`, handoff);
+    }
+  }
+  return handoffs;
+};
+
+const fetchAnalyticsData = async (queryClient, contract, { isLive }) => {
+  const productCount = Number(await contract.getProductCount());
+  const ids = Array.from({ length: productCount }, (_, index) => index + 1);
+  const [products, handoffs] = await Promise.all([
+    fetchProductSummaries(queryClient, contract, ids, { isLive }),
+    fetchHandoffs(contract),
+  ]);
+  return { products, handoffs: [...handoffs.values()] };
+};
+
+// Current status and value are snapshots; throughput, dwell times and the
+// partner comparison only count handoffs inside the window
+export const computeAnalytics = ({ products, handoffs }, timeWindow, now) => {
+  const windowStart = timeWindow.days
+    ? now - timeWindow.days * DAY_SECONDS
+    : Math.min(now, ...products.map((product) => product.createdAt || now));
+  const inWindow = (timestamp) => !!timestamp && timestamp >= windowStart;
+  const stageTime = (product, stage) => product?.[STAGE_TIMESTAMP_FIELDS[stage]] || null;
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  const byStatus = PRODUCT_STATUS_LABELS.map((label, status) => {
+    const atStatus = products.filter((product) => product.status === status);
+    return {
+      label,
+      count: atStatus.length,
+      value: atStatus.reduce((sum, product) => sum + Number(product.price), 0),
+    };
+  });
+
+  const bucketSize = timeWindow.days && timeWindow.days <= 30 ? DAY_SECONDS : 7 * DAY_SECONDS;
+  const bucketCount = Math.max(Math.ceil((now - windowStart) / bucketSize), 1);
+  const throughput = Array.from({ length: bucketCount }, (_, index) => ({
+    label: new Date((windowStart + index * bucketSize) * 1000).toLocaleDateString(
+      undefined,
+      { month: "short", day: "numeric" }
+    ),
+    created: 0,
+    shipped: 0,
+    delivered: 0,
+  }));
+  const countIn = (timestamp, key) => {
+    if (!inWindow(timestamp)) return;
+    const index = Math.min(Math.floor((timestamp - windowStart) / bucketSize), bucketCount - 1);
+    throughput[index][key]++;
+  };
+  products.forEach((product) => {
+    countIn(product.createdAt, "created");
+    countIn(product.sentByManufacturerAt, "shipped");
+    countIn(product.receivedByRetailerAt, "delivered");
+  });
+
+  const dwell = PRODUCT_STATUS_LABELS.slice(0, -1).map((label, stage) => {
+    const durations = products
+      .filter((product) => stageTime(product, stage) && inWindow(stageTime(product, stage + 1)))
+      .map((product) => stageTime(product, stage + 1) - stageTime(product, stage))
+      .sort((a, b) => a - b);
+    return {
+      label: `${label} → ${PRODUCT_STATUS_LABELS[stage + 1]}`,
+      count: durations.length,
+      average: durations.length
+        ? durations.reduce((sum, seconds) => sum + seconds, 0) / durations.length
+        : null,
+      p50: percentile(durations, 50),
+      p90: percentile(durations, 90),
+    };
+  });
+
+  // A partner's response time is how long after the previous stage they
+  // performed their handoff
+  const partners = new Map();
+  for (const handoff of handoffs) {
+    const product = productsById.get(handoff.productId);
+    const timestamp = stageTime(product, handoff.stage);
+    if (!inWindow(timestamp)) continue;
+
+    const key = handoff.performer.toLowerCase();
+    const partner = partners.get(key) || {
+      address: handoff.performer,
+      roles: new Set(),
+      products: new Set(),
+      handoffs: 0,
+      responseTimes: [],
+    };
+    partner.roles.add(HANDOFF_ROLES[STAGE_TRANSACTION_TYPES[handoff.stage]]);
+    partner.products.add(handoff.productId);
+    partner.handoffs++;
+    const previous = handoff.stage > 0 && stageTime(product, handoff.stage - 1);
+    if (previous) partner.responseTimes.push(timestamp - previous);
+    partners.set(key, partner);
+  }
+
+  return {
+    byStatus,
+    throughput,
+    dwell,
+    partners: [...partners.values()]
+      .map((partner) => ({
+        address: partner.address,
+        roles: [...partner.roles].join(", "),
+        products: partner.products.size,
+        handoffs: partner.handoffs,
+        averageResponse: partner.responseTimes.length
+          ? partner.responseTimes.reduce((sum, seconds) => sum + seconds, 0) /
+            partner.responseTimes.length
+          : null,
+      }))
+      .sort((a, b) => b.handoffs - a.handoffs),
+  };
+};
+
+// Return requests are only ever read from contract events. Writes go through
+// an adapter so a contract version with a returns API can be wired in by
+// adding an entry here; the first one whose functions the ABI declares wins.
+const RETURN_WRITE_ADAPTERS = [
+  {
+    request: {
+      method: "requestReturn",
+      args: (productId, reason) => [productId, reason],
+    },
+    process: {
+      method: "processReturn",
+      args: (returnRequestId, approved) => [returnRequestId, approved],
+    },
+  },
+];
+
+const hasContractFunction = (contract, name) => {
+  try {
+    return !!contract?.interface.getFunction(name);
+  } catch (error) {
+    // Overloaded names need a full signature
+    return false;
+  }
+};
+
+export const getReturnWriteAdapter = (contract) => {
+  const supports = (step) => !!step && hasContractFunction(contract, step.method);
+  const adapter =
+    RETURN_WRITE_ADAPTERS.find(
+      (candidate) => supports(candidate.request) || supports(candidate.process)
+    ) || {};
+
+  return {
+    canRequest: supports(adapter.request),
+    canProcess: supports(adapter.process),
+    request: (sendTransaction, productId, reason) =>
+      sendTransaction(
+        contract,
+        adapter.request.method,
+        adapter.request.args(productId, reason),
+        { productId }
+      ),
+    process: (sendTransaction, returnRequest, approved) =>
+      sendTransaction(
+        contract,
+        adapter.process.method,
+        adapter.process.args(returnRequest.id, approved),
+        { productId: returnRequest.productId }
+      ),
+  };
+};
+
+const fetchReturnRequests = async (contract) => {
+  const [requestedEvents, processedEvents] = await Promise.all([
+    getIndexedEvents(contract, "ReturnRequested"),
+    getIndexedEvents(contract, "ReturnProcessed"),
+  ]);
+
+  const outcomes = new Map(
+    processedEvents.map((event) => [
+      event.args.returnRequestId.toString(),
+      {
+        status: event.args.approved ? "approved" : "rejected",
+        processedAt: Number(event.args.timestamp),
+        processedTransactionHash: event.transactionHash,
+      },
+    ])
+  );
+
+  return requestedEvents
+    .map((event) => {
+      const id = event.args.returnRequestId.toString();
+      return {
+        id,
+        productId: event.args.productId.toString(),
+        requester: event.args.requester,
+        reason: event.args.reason,
+        requestedAt: Number(event.args.timestamp),
+        transactionHash: event.transactionHash,
+        status: "pending",
+        processedAt: null,
+        processedTransactionHash: null,
+        ...outcomes.get(id),
+      };
+    })
+    .sort((a, b) => b.requestedAt - a.requestedAt);
+};
+
+const DEMO_RETURNS = [
+  {
+    id: "1",
+    productId: "3",
+    requester: "0x0000000000000000000000000000000000000003",
+    reason: "Packaging damaged in transit",
+    requestedAt: Math.floor(Date.now() / 1000) - 7200,
+    transactionHash: "0xabc...123",
+    status: "pending",
+    processedAt: null,
+    processedTransactionHash: null,
+  },
+];
+
+const useReturnRequests = (contract, isDemoMode) => {
+  const pollingInterval = usePollingInterval(30000);
+  const query = useQuery(
+    ["returns", contract?.target],
+    () => fetchReturnRequests(contract),
+    {
+      enabled: !!contract && !isDemoMode,
+      refetchInterval: pollingInterval,
+      onError: (error) => {
+        console.error("Error fetching return requests:", error);
+      },
+    }
+  );
+  return isDemoMode ? { ...query, data: DEMO_RETURNS, isLoading: false } : query;
+};
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF line endings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+const toCsv = (rows) =>
+  rows
+    .map((cells) =>
+      cells
+        .map((cell) => {
+          const value = cell === null || cell === undefined ? "" : String(cell);
+          return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        })
+        .join(",")
+    )
+    .join("\n");
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const toIsoTimestamp = (seconds) =>
+  Number(seconds) > 0 ? new Date(Number(seconds) * 1000).toISOString() : "";
+
+// Downloads rows as CSV or JSON, named with today's date
+const exportRows = (name, rows, format) => {
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  if (format === "json") {
+    downloadFile(filename, JSON.stringify(rows, null, 2), "application/json");
+    return;
+  }
+  const columns = Object.keys(rows[0]);
+  downloadFile(
+    filename,
+    toCsv([columns, ...rows.map((row) => columns.map((column) => row[column]))]),
+    "text/csv"
+  );
+};
+
+// One row per product with each stage's time, performer, role and transaction
+const toProductExportRows = (products, handoffs) =>
+  products.map((product) => {
+    const row = {
+      id: product.id,
+      name: product.name,
+      description: product.description,
+      priceInr: product.price,
+      status: PRODUCT_STATUS_LABELS[product.status],
+    };
+    STAGE_TIMESTAMP_FIELDS.forEach((field, stage) => {
+      const prefix = field.replace(/At$/, "");
+      const handoff = handoffs.get(`${product.id}-${stage}`);
+      row[`${prefix}At`] = toIsoTimestamp(product[field]);
+      row[`${prefix}By`] = handoff?.performer ?? "";
+      row[`${prefix}Role`] = handoff ? HANDOFF_ROLES[STAGE_TRANSACTION_TYPES[stage]] : "";
+      row[`${prefix}TransactionHash`] = handoff?.transactionHash ?? "";
+    });
+    return row;
+  });
+
+const fetchProductExportRows = async (queryClient, contract, ids, { isLive }) => {
+  const [products, handoffs] = await Promise.all([
+    fetchProductSummaries(queryClient, contract, ids, { isLive }),
+    fetchHandoffs(contract),
+  ]);
+  return toProductExportRows(products, handoffs);
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+// Writes a print-ready provenance report for one product into a blank window;
+// the browser's print dialog saves it as PDF
+const printProvenanceReport = (reportWindow, { product, stages }, chainId, contractAddress) => {
+  const network = getNetwork(chainId);
+  const stageRows = stages
+    .map(
+      (stage) => `
+        <tr>
+          <td>${escapeHtml(stage.label)}</td>
+          <td>${escapeHtml(toIsoTimestamp(stage.timestamp) || "Pending")}</td>
+          <td>${escapeHtml(stage.timestamp ? stage.role : "")}</td>
+          <td class="mono">${escapeHtml(stage.performer)}</td>
+          <td class="mono">${escapeHtml(stage.transactionHash)}</td>
+        </tr>`
+    )
+    .join("");
+
+  reportWindow.document.write(`<!DOCTYPE html>
+<html>
+  <head>
+    <title>Provenance Report - Product ${escapeHtml(product.id)}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; color: #111; margin: 32px; }
+      h1 { color: #433878; margin-bottom: 4px; }
+      table { width: 100%; border-collapse: collapse; margin-top: 24px; font-size: 12px; }
+      th, td { border: 1px solid #ccc; padding: 6px; text-align: left; vertical-align: top; }
+      th { background: #f3eefc; }
+      .mono { font-family: monospace; word-break: break-all; }
+      .meta { color: #555; font-size: 12px; }
+    </style>
+  </head>
+  <body>
+    <h1>Provenance Report</h1>
+    <p class="meta">Generated ${escapeHtml(new Date().toISOString())}</p>
+    <h2>Product #${escapeHtml(product.id)}: ${escapeHtml(product.name)}</h2>
+    <p>${escapeHtml(product.description)}</p>
+    <p>Price: ${escapeHtml(product.price)} INR<br />
+      Current status: ${escapeHtml(PRODUCT_STATUS_LABELS[product.status])}</p>
+    <p class="meta">Network: ${escapeHtml(network?.name || `Chain ${chainId}`)} (chain ID ${escapeHtml(chainId)})<br />
+      Contract: <span class="mono">${escapeHtml(contractAddress)}</span><br />
+      Verify: ${escapeHtml(`${window.location.origin}/verify/${chainId}/${product.id}`)}</p>
+    <table>
+      <thead>
+        <tr><th>Stage</th><th>Time (UTC)</th><th>Role</th><th>Performer</th><th>Transaction</th></tr>
+      </thead>
+      <tbody>${stageRows}</tbody>
+    </table>
+  </body>
+</html>`);
+  reportWindow.document.close();
+  reportWindow.focus();
+  reportWindow.print();
+};
+
+// Deep link to a product's tracking view on a specific deployment
+const getTrackingUrl = (chainId, contractAddress, productId) =>
+  `${window.location.origin}/track?${new URLSearchParams({
+    chainId: String(chainId),
+    contract: contractAddress,
+    productId: String(productId),
+  })}`;
+
+// Accepts a tracking link from one of our QR codes, or a bare product ID
+export const parseTrackingCode = (text) => {
+  const value = text.trim();
+  if (/^\d+$/.test(value)) return { productId: value };
+  try {
+    const url = new URL(value);
+    const productId = url.searchParams.get("productId");
+    if (!url.pathname.endsWith("/track") || !/^\d+$/.test(productId || "")) return null;
+    return {
+      productId,
+      chainId: url.searchParams.get("chainId"),
+      contract: url.searchParams.get("contract"),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+const QR_DECODE_MAX_SIZE = 1024;
+
+// Decodes a QR code from an image without uploading it anywhere. Camera
+// photos are scaled down first; full resolution only slows jsQR down.
+const decodeQrImage = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, QR_DECODE_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+  return jsQR(data, width, height)?.data ?? null;
+};
+
+// Utility Components
+const Input = ({ className, ...props }) => (
+  <input
+    className={`w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#7E60BF] text-gray-200 placeholder-gray-400 ${className}`}
+    {...props}
+  />
+);
+
+// Shows an address by its address book name when it has one. The full
+// address, organisation and notes are in the tooltip.
+const AddressName = ({ address, role, className = "" }) => {
+  const { lookup } = useAddressBook();
+  const entry = lookup(address);
+
+  return (
+    <span
+      className={className}
+      title={[address, entry?.organisation, entry?.notes].filter(Boolean).join("\n")}
+    >
+      {entry ? (
+        entry.name
+      ) : (
+        <span className="font-mono">
+          {address.slice(0, 6)}...{address.slice(-4)}
+        </span>
+      )}
+      {role && ` (${role})`}
+    </span>
+  );
+};
+
+// Address field that suggests address book entries by name, organisation or
+// address, and names the address once it matches one
+const AddressInput = ({ value, onChange, className = "", ...props }) => {
+  const { entries, lookup } = useAddressBook();
+  const [isFocused, setIsFocused] = useState(false);
+  const query = value.trim().toLowerCase();
+  const match = ethers.isAddress(value.trim()) ? lookup(value.trim()) : null;
+  const suggestions =
+    isFocused && !match
+      ? entries
+          .filter(
+            (entry) =>
+              !query ||
+              [entry.name, entry.organisation, entry.address].some((field) =>
+                field.toLowerCase().includes(query)
+              )
+          )
+          .slice(0, 6)
+      : [];
+
+  return (
+    <div className={`relative ${className}`}>
+      <Input
+        {...props}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => setIsFocused(false)}
+        autoComplete="off"
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-gray-800 border border-[#433878] rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map((entry) => (
+            <li key={entry.address}>
+              <button
+                type="button"
+                // Runs before the input's blur hides the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  onChange(entry.address);
+                }}
+                className="w-full text-left px-4 py-2 hover:bg-[#433878]"
+              >
+                <span className="text-gray-200">{entry.name}</span>
+                {entry.organisation && (
+                  <span className="text-gray-400"> · {entry.organisation}</span>
+                )}
+                <span className="block text-xs font-mono text-gray-400">{entry.address}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {match && (
+        <p className="mt-1 text-xs text-[#E4B1F0]">
+          {match.name}
+          {match.organisation && ` · ${match.organisation}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const Button = ({ children, className = "", disabled, ...props }) => (
+  <motion.button
+    whileHover={{ scale: 1.05 }}
+    whileTap={{ scale: 0.95 }}
+    className={`bg-gradient-to-r from-[#433878] to-[#7E60BF] text-white px-6 py-3 rounded-lg hover:from-[#7E60BF] hover:to-[#E4B1F0] transition duration-300 flex items-center justify-center shadow-lg ${
+      disabled ? "opacity-50 cursor-not-allowed" : ""
+    } ${className}`}
+    disabled={disabled}
+    {...props}
+  >
+    {children}
+  </motion.button>
+);
+
+// Button for contract writes; disabled with an explanation in read-only mode
+const WriteButton = ({ isReadOnly, disabled, children, ...props }) => (
+  <Button
+    {...props}
+    disabled={disabled || isReadOnly}
+    title={isReadOnly ? "A connected wallet is needed to send transactions" : undefined}
+  >
+    {isReadOnly ? (
+      <>
+        <Lock size={16} className="mr-2" />
+        Wallet Needed
+      </>
+    ) : (
+      children
+    )}
+  </Button>
+);
+
+const Card = ({ children, className = "" }) => (
+  <motion.div
+    initial={{ opacity: 0, y: 20 }}
+    animate={{ opacity: 1, y: 0 }}
+    transition={{ duration: 0.5 }}
+    className={`bg-gray-800 backdrop-filter backdrop-blur-lg rounded-xl p-8 shadow-xl border border-[#433878] ${className}`}
+  >
+    {children}
+  </motion.div>
+);
+
+// Renders only the rows scrolled into view, so long lists stay responsive
+const VirtualizedList = ({ items, itemHeight, height, getKey, renderItem }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const overscan = 4;
+  const first = Math.max(Math.floor(scrollTop / itemHeight) - overscan, 0);
+  const last = Math.min(
+    Math.ceil((scrollTop + height) / itemHeight) + overscan,
+    items.length
+  );
+
+  return (
+    <div
+      className="overflow-y-auto"
+      style={{ maxHeight: height }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div className="relative" style={{ height: items.length * itemHeight }}>
+        {items.slice(first, last).map((item, index) => (
+          <div
+            key={getKey(item)}
+            className="absolute left-0 right-0"
+            style={{ top: (first + index) * itemHeight, height: itemHeight }}
+          >
+            {renderItem(item)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// CSV/JSON download buttons; `getRows` may fetch whatever the export needs
+const ExportButtons = ({ name, getRows, onPrint, disabled, className = "" }) => {
+  const [isExporting, setIsExporting] = useState(false);
+
+  const run = async (action) => {
+    setIsExporting(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error("Error exporting:", error);
+      customToast(`Export failed: ${error.message}`, "error");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExport = (format) =>
+    run(async () => {
+      const rows = await getRows();
+      if (rows.length === 0) {
+        customToast("There is nothing to export", "info");
+        return;
+      }
+      exportRows(name, rows, format);
+    });
+
+  return (
+    <div className={`flex items-center gap-3 text-sm ${className}`}>
+      <Download size={16} />
+      {["csv", "json"].map((format) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={disabled || isExporting}
+          className="uppercase hover:underline disabled:opacity-50"
+        >
+          {format}
+        </button>
+      ))}
+      {onPrint && (
+        <button
+          onClick={() => run(onPrint)}
+          disabled={disabled || isExporting}
+          className="uppercase hover:underline disabled:opacity-50"
+        >
+          PDF
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Exports one product's stage history, including a printable provenance report
+const ProductExportButtons = ({ contract, chainId, productId, className }) => {
+  const getTimeline = () => fetchProductTimeline(contract, productId);
+
+  return (
+    <ExportButtons
+      name={`product-${productId}`}
+      disabled={!contract}
+      className={className}
+      getRows={async () => {
+        const { product, stages } = await getTimeline();
+        return stages.map((stage) => ({
+          productId: product.id,
+          name: product.name,
+          stage: stage.label,
+          timestamp: toIsoTimestamp(stage.timestamp),
+          role: stage.timestamp ? stage.role : "",
+          performer: stage.performer ?? "",
+          transactionHash: stage.transactionHash ?? "",
+        }));
+      }}
+      onPrint={async () => {
+        // Opened before any await so pop-up blockers treat it as user-initiated
+        const reportWindow = window.open("", "_blank");
+        if (!reportWindow) throw new Error("allow pop-ups for this site to print the report");
+        try {
+          printProvenanceReport(reportWindow, await getTimeline(), chainId, contract.target);
+        } catch (error) {
+          reportWindow.close();
+          throw error;
+        }
+      }}
+    />
+  );
+};
+
+const PRODUCT_STATUS_LABELS = [
+  "Created",
+  "Sent by Manufacturer",
+  "Received by Distributor",
+  "Sent by Distributor",
+  "Received by Retailer",
+];
+
+// Custom Hooks
+const useProductStatus = (status) => {
+  return useMemo(() => PRODUCT_STATUS_LABELS[status] || "Unknown", [status]);
+};
+
+// EditProductForm component
+const EditProductForm = ({ product, onSubmit, onCancel }) => {
+  const [name, setName] = useState(product.name);
+  const [description, setDescription] = useState(product.description);
+  const [price, setPrice] = useState(
+    ethers.formatEther(product.price.toString())
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      id: product.id,
+      name,
+      description,
+      price,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label
+          htmlFor="name"
+          className="block text-sm font-medium text-gray-200"
+        >
+          Name
+        </label>
+        <Input
+          type="text"
+          id="name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </div>
+      <div>
+        <label
+          htmlFor="description"
+          className="block text-sm font-medium text-gray-200"
+        >
+          Description
+        </label>
+        <textarea
+          id="description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50 bg-white bg-opacity-10 text-gray-200"
+        />
+      </div>
+      <div>
+        <label
+          htmlFor="price"
+          className="block text-sm font-medium text-gray-200"
+        >
+          Price (INR)
+        </label>
+        <Input
+          type="number"
+          id="price"
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+          step="0.01"
+        />
+      </div>
+      <div className="flex justify-end space-x-2">
+        <Button onClick={onCancel} className="bg-gray-600 hover:bg-gray-700">
+          Cancel
+        </Button>
+        <Button type="submit">Save Changes</Button>
+      </div>
+    </form>
+  );
+};
+
+const App = () => {
+  const {
+    contract,
+    account,
+    roles,
+    chainId,
+    isReadOnly,
+    isConnecting,
+    wallets,
+    connect,
+    disconnect,
+    switchNetwork,
+    refreshRoles,
+  } = useContract();
+  const [isDemoMode, setIsDemoMode] = useState(false);
+  const isWalletMissing = wallets.length === 0;
+
+  useTransactionWatcher(contract, chainId);
+  const isLive = useContractEvents(contract);
+
+  // Role holders change on-chain without any wallet event, so routes and
+  // navigation follow these events instead
+  useEffect(() => {
+    if (!contract || !isLive) return;
+    const listener = () =>
+      refreshRoles().catch((error) => console.error("Error refreshing roles:", error));
+    ROLE_EVENTS.forEach((eventName) => contract.on(eventName, listener));
+    return () => ROLE_EVENTS.forEach((eventName) => contract.off(eventName, listener));
+  }, [contract, isLive, refreshRoles]);
+
+  const hasRole = useCallback(() => {
+    if (isDemoMode) return true;
+    if (!account) return false;
+    return Object.values(roles).some(
+      (role) => role && role.toLowerCase() === account.toLowerCase()
+    );
+  }, [account, roles, isDemoMode]);
+
+  const getUserRole = useCallback(() => {
+    if (isDemoMode) return "Demo User";
+    if (!account) return null;
+    for (const [role, address] of Object.entries(roles)) {
+      if (address && address.toLowerCase() === account.toLowerCase()) {
+        return role;
+      }
+    }
+    return null;
+  }, [account, roles, isDemoMode]);
+
+  return (
     <Provider store={store}>
-      <Router>
-        <div className="min-h-screen bg-gray-900 text-gray-100 relative">
-          <Navbar
-            account={account}
-            hasRole={hasRole}
-            getUserRole={getUserRole}
+      <LiveUpdatesContext.Provider value={isLive}>
+        <Router>
+          <div className="min-h-screen bg-gray-900 text-gray-100 relative">
+            <Navbar
+              account={account}
+              hasRole={hasRole}
+              getUserRole={getUserRole}
+              chainId={chainId}
+              isReadOnly={isReadOnly}
+              wallets={wallets}
+              onConnect={connect}
+              onDisconnect={disconnect}
+              onSwitchNetwork={switchNetwork}
+            />
+            <main className="container mx-auto px-4 py-8">
+              {isWalletMissing && !isDemoMode && (
+                <WalletMissingBanner isReadOnly={isReadOnly} />
+              )}
+              <Routes>
+                <Route
+                  path="/"
+                  element={
+                    <Home roles={roles} account={account} isReadOnly={isReadOnly} />
+                  }
+                />
+                <Route
+                  path="/owner"
+                  element={
+                    <ProtectedRoute
+                      component={Owner}
+                      contract={contract}
+                      roles={roles}
+                      onRolesChanged={refreshRoles}
+                      requiredAddress={roles.owner}
+                      account={account}
+                      isDemoMode={isDemoMode}
+                      isReadOnly={isReadOnly}
+                      isConnecting={isConnecting}
+                    />
+                  }
+                />
+                <Route
+                  path="/analytics"
+                  element={
+                    <ProtectedRoute
+                      component={Analytics}
+                      contract={contract}
+                      requiredAddress={roles.owner}
+                      account={account}
+                      isDemoMode={isDemoMode}
+                      isReadOnly={isReadOnly}
+                      isConnecting={isConnecting}
+                    />
+                  }
+                />
+                <Route
+                  path="/manufacturer"
+                  element={
+                    <ProtectedRoute
+                      component={Manufacturer}
+                      contract={contract}
+                      chainId={chainId}
+                      requiredAddress={roles.manufacturer}
+                      account={account}
+                      isDemoMode={isDemoMode}
+                      isReadOnly={isReadOnly}
+                      isConnecting={isConnecting}
+                    />
+                  }
+                />
+                <Route
+                  path="/distributor"
+                  element={
+                    <ProtectedRoute
+                      component={Distributor}
+                      contract={contract}
+                      chainId={chainId}
+                      requiredAddress={roles.distributor}
+                      account={account}
+                      isDemoMode={isDemoMode}
+                      isReadOnly={isReadOnly}
+                      isConnecting={isConnecting}
+                    />
+                  }
+                />
+                <Route
+                  path="/retailer"
+                  element={
+                    <ProtectedRoute
+                      component={Retailer}
+                      contract={contract}
+                      chainId={chainId}
+                      requiredAddress={roles.retailer}
+                      account={account}
+                      isDemoMode={isDemoMode}
+                      isReadOnly={isReadOnly}
+                      isConnecting={isConnecting}
+                    />
+                  }
+                />
+                <Route
+                  path="/track"
+                  element={
+                    <ProtectedRoute
+                      component={ProductTrackingPage}
+                      contract={contract}
+                      chainId={chainId}
+                      requiredAddress={Object.values(roles)}
+                      account={account}
+                      isDemoMode={isDemoMode}
+                      isReadOnly={isReadOnly}
+                      isConnecting={isConnecting}
+                    />
+                  }
+                />
+                <Route
+                  path="/history"
+                  element={
+                    <ProtectedRoute
+                      component={TransactionHistory}
+                      contract={contract}
+                      chainId={chainId}
+                      requiredAddress={Object.values(roles)}
+                      account={account}
+                      isDemoMode={isDemoMode}
+                      isReadOnly={isReadOnly}
+                      isConnecting={isConnecting}
+                    />
+                  }
+                />
+                <Route
+                  path="/portfolio"
+                  element={
+                    <ProtectedRoute
+                      component={Portfolio}
+                      contract={contract}
+                      roles={roles}
+                      requiredAddress={Object.values(roles)}
+                      account={account}
+                      isDemoMode={isDemoMode}
+                      isReadOnly={isReadOnly}
+                      isConnecting={isConnecting}
+                    />
+                  }
+                />
+                <Route path="/address-book" element={<AddressBook />} />
+                <Route path="/verify/:chainId/:productId" element={<VerifyProduct />} />
+              </Routes>
+            </main>
+            <DemoModeToggle isDemoMode={isDemoMode} setIsDemoMode={setIsDemoMode} />
+          </div>
+          <ToastContainer
+            position="bottom-right"
+            autoClose={3000}
+            hideProgressBar={false}
+            newestOnTop={true}
+            closeOnClick
+            rtl={false}
+            pauseOnFocusLoss
+            draggable
+            pauseOnHover
+            theme="dark"
+            limit={3}
+          />
+        </Router>
+      </LiveUpdatesContext.Provider>
+    </Provider>
+  );
+};
+
+const Navbar = ({
+  account,
+  hasRole,
+  getUserRole,
+  chainId,
+  isReadOnly,
+  wallets,
+  onConnect,
+  onDisconnect,
+  onSwitchNetwork,
+}) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isWalletPickerOpen, setIsWalletPickerOpen] = useState(false);
+
+  return (
+    <nav className="bg-gray-900 shadow-md border-b border-[#433878] sticky top-0 z-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center h-16">
+          <div className="flex items-center">
+            <motion.span
+              className="text-2xl font-bold text-[#E4B1F0]"
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5 }}
+            >
+              ChainFlow
+            </motion.span>
+          </div>
+          <div className="hidden sm:flex sm:items-center sm:space-x-8">
+            <NavLink to="/">Home</NavLink>
+            {(hasRole() || isReadOnly) && (
+              <>
+                <NavLink to="/track">Track Product</NavLink>
+                <NavLink to="/history">Transaction History</NavLink>
+                <NavLink to="/portfolio">Portfolio</NavLink>
+                <NavLink to="/address-book">Address Book</NavLink>
+              </>
+            )}
+            <TransactionTray chainId={chainId} />
+            {(account || isReadOnly) && (
+              <NetworkPicker chainId={chainId} onSwitchNetwork={onSwitchNetwork} />
+            )}
+            {account ? (
+              <div className="flex items-center text-sm font-medium text-[#E4B1F0] bg-[#433878] pl-4 pr-2 py-2 rounded-full">
+                {getUserRole()}: {account.slice(0, 6)}...{account.slice(-4)}
+                <button
+                  onClick={onDisconnect}
+                  className="ml-2 p-1 rounded-full hover:bg-[#7E60BF]"
+                  title="Disconnect wallet"
+                >
+                  <LogOut size={14} />
+                </button>
+              </div>
+            ) : (
+              <>
+                {isReadOnly && (
+                  <div className="flex items-center text-sm font-medium text-[#E4B1F0] bg-[#433878] px-4 py-2 rounded-full">
+                    <Eye size={16} className="mr-2" />
+                    Read-only
+                  </div>
+                )}
+                <Button onClick={() => setIsWalletPickerOpen(true)}>
+                  Connect Wallet
+                </Button>
+              </>
+            )}
+          </div>
+          {/* Mobile menu button */}
+          <div className="sm:hidden flex items-center space-x-2">
+            <TransactionTray chainId={chainId} />
+            <button
+              onClick={() => setIsMenuOpen(!isMenuOpen)}
+              className="inline-flex items-center justify-center p-2 rounded-md text-gray-400 hover:text-white hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
+            >
+              <span className="sr-only">Open main menu</span>
+              {isMenuOpen ? (
+                <X className="block h-6 w-6" aria-hidden="true" />
+              ) : (
+                <Menu className="block h-6 w-6" aria-hidden="true" />
+              )}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Mobile menu */}
+      {isMenuOpen && (
+        <div className="sm:hidden bg-gray-800">
+          <div className="px-2 pt-2 pb-3 space-y-1">
+            <NavLink to="/">Home</NavLink>
+            {(hasRole() || isReadOnly) && (
+              <>
+                <NavLink to="/track">Track Product</NavLink>
+                <NavLink to="/history">Transaction History</NavLink>
+                <NavLink to="/portfolio">Portfolio</NavLink>
+                <NavLink to="/address-book">Address Book</NavLink>
+              </>
+            )}
+            {(account || isReadOnly) && (
+              <div className="px-3 py-2">
+                <NetworkPicker chainId={chainId} onSwitchNetwork={onSwitchNetwork} />
+              </div>
+            )}
+            <div className="px-3 py-2">
+              {account ? (
+                <Button onClick={onDisconnect}>Disconnect</Button>
+              ) : (
+                <Button onClick={() => setIsWalletPickerOpen(true)}>
+                  Connect Wallet
+                </Button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isWalletPickerOpen && (
+        <WalletPicker
+          wallets={wallets}
+          onSelect={async (selected) => {
+            if (await onConnect(selected)) setIsWalletPickerOpen(false);
+          }}
+          onClose={() => setIsWalletPickerOpen(false)}
+        />
+      )}
+    </nav>
+  );
+};
+
+const canAffordFee = (preflight) => preflight.fee == null || preflight.balance >= preflight.fee;
+
+// Gas, fee and balance rows shared by the confirmation dialogs
+const PreflightCosts = ({ preflight, showFee }) => {
+  const symbol = getNetwork(preflight.chainId)?.nativeCurrency.symbol || "ETH";
+  const canAfford = canAffordFee(preflight);
+
+  return (
+    <>
+      {showFee && (
+        <>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Estimated gas</span>
+            <span className="text-gray-200">
+              {preflight.gasLimit.toLocaleString()}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Max network fee</span>
+            <span className="text-gray-200">
+              {preflight.fee !== null
+                ? `${ethers.formatEther(preflight.fee)} ${symbol}`
+                : "Unknown"}
+            </span>
+          </div>
+        </>
+      )}
+      <div className="flex justify-between">
+        <span className="text-gray-400">Your balance</span>
+        <span className={canAfford ? "text-gray-200" : "text-red-400"}>
+          {ethers.formatEther(preflight.balance)} {symbol}
+        </span>
+      </div>
+      {!canAfford && (
+        <p className="text-red-400">
+          Your balance doesn't cover the network fee.
+        </p>
+      )}
+    </>
+  );
+};
+
+const TransactionConfirmDialog = ({ request, onConfirm, onCancel }) => {
+  const { contract, method, args } = request;
+  const [preflight, setPreflight] = useState(null);
+  const [preflightError, setPreflightError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    runPreflight(contract, method, args).then(
+      (result) => !cancelled && setPreflight(result),
+      (error) => !cancelled && setPreflightError(decodeContractError(error))
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, method, args]);
+
+  // If the node couldn't simulate at all, leave the decision to the user
+  const canConfirm =
+    (preflight && !preflight.revert && canAffordFee(preflight)) ||
+    Boolean(preflightError);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 px-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-gray-800 rounded-xl p-6 shadow-xl border border-[#433878] w-full max-w-md"
+      >
+        <h3 className="text-xl font-semibold text-[#E4B1F0] mb-1">
+          Confirm {TRANSACTION_LABELS[method] || method}
+        </h3>
+        <p className="text-xs text-gray-400 mb-4 font-mono">
+          {contract.interface.getFunction(method).format()}
+        </p>
+
+        <div className="space-y-2 mb-4">
+          {formatCallArguments(contract, method, args).map((arg) => (
+            <div key={arg.label} className="flex justify-between text-sm">
+              <span className="text-[#7E60BF]">{arg.label}</span>
+              <span className="text-gray-200 text-right break-all ml-4">
+                {arg.value}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="bg-gray-700 rounded-lg p-4 space-y-2 text-sm mb-4">
+          {!preflight && !preflightError && (
+            <p className="text-gray-400">Simulating transaction...</p>
+          )}
+          {preflightError && (
+            <p className="text-red-400">
+              Couldn't simulate this transaction: {preflightError.message}
+            </p>
+          )}
+          {preflight?.revert && (
+            <div className="flex items-start text-red-400">
+              <AlertCircle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+              <span>
+                This transaction would fail: {preflight.revert.message}
+              </span>
+            </div>
+          )}
+          {preflight && (
+            <PreflightCosts preflight={preflight} showFee={!preflight.revert} />
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <Button onClick={onCancel} className="bg-gray-600 hover:bg-gray-700">
+            Cancel
+          </Button>
+          <Button onClick={onConfirm} disabled={!canConfirm}>
+            Confirm
+          </Button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+// One confirmation for a bulk action. Calls that would fail are listed and
+// left out of the fee, since they are skipped when the batch is sent.
+const BatchConfirmDialog = ({ request, onConfirm, onCancel }) => {
+  const { contract, method, batch } = request;
+  const [preflight, setPreflight] = useState(null);
+  const [preflightError, setPreflightError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    runBatchPreflight(contract, method, batch).then(
+      (result) => !cancelled && setPreflight(result),
+      (error) => !cancelled && setPreflightError(decodeContractError(error))
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, method, batch]);
+
+  const failing = preflight?.items.filter((item) => item.revert) || [];
+  const passing = batch.length - failing.length;
+  const canConfirm =
+    (preflight && passing > 0 && canAffordFee(preflight)) ||
+    Boolean(preflightError);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 px-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-gray-800 rounded-xl p-6 shadow-xl border border-[#433878] w-full max-w-md"
+      >
+        <h3 className="text-xl font-semibold text-[#E4B1F0] mb-1">
+          Confirm {TRANSACTION_LABELS[method] || method}
+        </h3>
+        <p className="text-sm text-gray-400 mb-4">
+          {batch.length} transaction{batch.length === 1 ? "" : "s"}, each sent
+          once the previous one has been broadcast
+        </p>
+
+        <div className="bg-gray-700 rounded-lg p-4 space-y-2 text-sm mb-4">
+          {!preflight && !preflightError && (
+            <p className="text-gray-400">Simulating transactions...</p>
+          )}
+          {preflightError && (
+            <p className="text-red-400">
+              Couldn't simulate these transactions: {preflightError.message}
+            </p>
+          )}
+          {preflight && (
+            <>
+              <div className="flex justify-between">
+                <span className="text-gray-400">Would succeed</span>
+                <span className={failing.length ? "text-red-400" : "text-gray-200"}>
+                  {passing} of {batch.length}
+                </span>
+              </div>
+              <PreflightCosts preflight={preflight} showFee={passing > 0} />
+            </>
+          )}
+        </div>
+
+        {failing.length > 0 && (
+          <div className="mb-4">
+            <div className="flex items-center text-sm text-red-400 mb-2">
+              <AlertCircle size={16} className="mr-2 flex-shrink-0" />
+              These would fail and won't be sent:
+            </div>
+            <ul className="max-h-40 overflow-y-auto bg-gray-700 rounded-lg divide-y divide-gray-600 text-sm">
+              {failing.map((item) => (
+                <li key={item.label} className="p-2">
+                  <span className="text-gray-200">{item.label}</span>
+                  <span className="block text-red-400">{item.revert.message}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <Button onClick={onCancel} className="bg-gray-600 hover:bg-gray-700">
+            Cancel
+          </Button>
+          <Button onClick={onConfirm} disabled={!canConfirm}>
+            Confirm
+          </Button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+const WalletPicker = ({ wallets, onSelect, onClose }) => {
+  const [connecting, setConnecting] = useState(null);
+
+  const handleSelect = async (selected) => {
+    setConnecting(selected.info.uuid);
+    try {
+      await onSelect(selected);
+    } finally {
+      setConnecting(null);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 px-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-gray-800 rounded-xl p-6 shadow-xl border border-[#433878] w-full max-w-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-[#E4B1F0]">Connect a Wallet</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X size={20} />
+          </button>
+        </div>
+        {wallets.length === 0 ? (
+          <p className="text-gray-400">
+            No wallet extension was found in this browser. Install one to send
+            transactions; you can keep browsing in read-only mode.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {wallets.map((candidate) => (
+              <button
+                key={candidate.info.uuid}
+                onClick={() => handleSelect(candidate)}
+                disabled={connecting !== null}
+                className="w-full flex items-center px-4 py-3 bg-gray-700 rounded-lg hover:bg-[#433878] transition duration-300 disabled:opacity-50"
+              >
+                {candidate.info.icon ? (
+                  <img
+                    src={candidate.info.icon}
+                    alt=""
+                    className="w-8 h-8 mr-3 rounded"
+                  />
+                ) : (
+                  <Wallet size={32} className="mr-3 text-[#E4B1F0]" />
+                )}
+                <span className="flex-grow text-left text-gray-200">
+                  {candidate.info.name}
+                </span>
+                {connecting === candidate.info.uuid && (
+                  <span className="text-sm text-[#E4B1F0]">Connecting...</span>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+const TRANSACTION_STATUS_STYLES = {
+  submitted: "bg-yellow-900 text-yellow-300",
+  mined: "bg-green-900 text-green-300",
+  failed: "bg-red-900 text-red-300",
+  replaced: "bg-gray-700 text-gray-300",
+};
+
+const TransactionTray = ({ chainId }) => {
+  const dispatch = useDispatch();
+  const transactions = useSelector((state) => state.transactions);
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (transactions.length === 0) return null;
+
+  const pendingCount = transactions.filter(
+    (tx) => tx.status === "submitted"
+  ).length;
+  const recent = [...transactions].sort((a, b) => b.submittedAt - a.submittedAt);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-full text-[#E4B1F0] hover:bg-[#433878] transition duration-300"
+        title="Recent transactions"
+      >
+        <Activity size={20} className={pendingCount ? "animate-pulse" : ""} />
+        {pendingCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-[#7E60BF] text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+            {pendingCount}
+          </span>
+        )}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-gray-800 border border-[#433878] rounded-lg shadow-xl z-50">
+          <div className="flex justify-between items-center px-4 py-3 border-b border-[#433878]">
+            <h4 className="text-sm font-semibold text-[#E4B1F0]">
+              Recent Transactions
+            </h4>
+            <button
+              onClick={() =>
+                dispatch(
+                  setTransactions(
+                    transactions.filter((tx) => tx.status === "submitted")
+                  )
+                )
+              }
+              className="text-xs text-[#7E60BF] hover:text-[#E4B1F0]"
+            >
+              Clear finished
+            </button>
+          </div>
+          <div className="max-h-96 overflow-y-auto divide-y divide-gray-700">
+            {recent.map((tx) => (
+              <div key={tx.transactionHash} className="px-4 py-3 text-sm">
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-200">
+                    {TRANSACTION_LABELS[tx.method] || tx.method}
+                    {tx.productId && ` #${tx.productId}`}
+                  </span>
+                  <span
+                    className={`text-xs px-2 py-0.5 rounded-full ${
+                      TRANSACTION_STATUS_STYLES[tx.status]
+                    }`}
+                  >
+                    {tx.status}
+                  </span>
+                </div>
+                <div className="flex justify-between items-center mt-1 text-xs text-gray-400">
+                  <span>
+                    {new Date(tx.submittedAt).toLocaleString()}
+                    {tx.status === "mined" &&
+                      ` · ${tx.confirmations}/${TARGET_CONFIRMATIONS} confirmations`}
+                  </span>
+                  {getExplorerTxUrl(tx.chainId, tx.transactionHash) ? (
+                    <a
+                      href={getExplorerTxUrl(tx.chainId, tx.transactionHash)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-[#7E60BF] hover:text-[#E4B1F0]"
+                    >
+                      {tx.transactionHash.slice(0, 8)}...
+                    </a>
+                  ) : (
+                    <span>{tx.transactionHash.slice(0, 8)}...</span>
+                  )}
+                </div>
+                {tx.chainId !== chainId && tx.status === "submitted" && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Switch to {getNetwork(tx.chainId)?.name || `chain ${tx.chainId}`} to
+                    keep tracking this transaction.
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const NetworkPicker = ({ chainId, onSwitchNetwork }) => {
+  const isSupported = SUPPORTED_NETWORKS.some(
+    (network) => network.chainId === chainId
+  );
+
+  return (
+    <select
+      value={isSupported ? chainId : ""}
+      onChange={(e) => onSwitchNetwork(Number(e.target.value))}
+      className="bg-gray-800 border border-[#433878] rounded-full px-4 py-2 text-sm font-medium text-[#E4B1F0] focus:outline-none focus:ring-2 focus:ring-[#7E60BF]"
+      aria-label="Select network"
+    >
+      {!isSupported && (
+        <option value="" disabled>
+          Unsupported Network
+        </option>
+      )}
+      {SUPPORTED_NETWORKS.map((network) => (
+        <option key={network.chainId} value={network.chainId}>
+          {network.name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+const NavLink = ({ to, children }) => (
+  <Link
+    to={to}
+    className="px-3 py-2 rounded-md text-sm font-medium text-[#E4B1F0] hover:text-[#FFE1FF] hover:bg-[#433878] transition duration-300"
+  >
+    {children}
+  </Link>
+);
+
+const Home = ({ roles, account, isReadOnly }) => {
+  const roleCards = [
+    { title: "Owner", icon: User, path: "/owner", address: roles.owner },
+    {
+      title: "Manufacturer",
+      icon: Package,
+      path: "/manufacturer",
+      address: roles.manufacturer,
+    },
+    {
+      title: "Distributor",
+      icon: Truck,
+      path: "/distributor",
+      address: roles.distributor,
+    },
+    {
+      title: "Retailer",
+      icon: Store,
+      path: "/retailer",
+      address: roles.retailer,
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      <header className="bg-gradient-to-r from-[#433878] to-[#7E60BF] py-20 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-7xl mx-auto">
+          <motion.h1
+            className="text-4xl sm:text-5xl md:text-6xl font-extrabold text-white mb-4"
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            Welcome to ChainFlow
+          </motion.h1>
+          <motion.p
+            className="text-xl sm:text-2xl text-[#FFE1FF] max-w-3xl"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5, delay: 0.2 }}
+          >
+            Revolutionizing supply chain management with blockchain technology.
+            Track products, manage inventory, and ensure transparency like never
+            before.
+          </motion.p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+        <motion.h2
+          className="text-3xl font-bold text-[#E4B1F0] mb-8"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, delay: 0.4 }}
+        >
+          Select Your Role
+        </motion.h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+          {roleCards.map((role, index) => (
+            <motion.div
+              key={role.title}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: 0.6 + index * 0.1 }}
+            >
+              <RoleCard
+                title={role.title}
+                icon={role.icon}
+                path={role.path}
+                isActive={
+                  account &&
+                  role.address &&
+                  account.toLowerCase() === role.address.toLowerCase()
+                }
+                isReadOnly={isReadOnly}
+              />
+            </motion.div>
+          ))}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+const RoleCard = ({ title, icon: Icon, path, isActive, isReadOnly }) => (
+  <Link
+    to={path}
+    className={`block p-6 bg-gray-800 rounded-lg shadow-lg hover:shadow-xl transition-all duration-300 ${
+      isActive ? "border-2 border-[#7E60BF]" : "border border-gray-700"
+    }`}
+  >
+    <div className="flex items-center space-x-4">
+      <div
+        className={`p-3 rounded-full ${
+          isActive ? "bg-[#7E60BF]" : "bg-gray-700"
+        }`}
+      >
+        <Icon
+          size={24}
+          className={isActive ? "text-white" : "text-[#E4B1F0]"}
+        />
+      </div>
+      <div>
+        <h3
+          className={`text-xl font-semibold ${
+            isActive ? "text-[#E4B1F0]" : "text-white"
+          }`}
+        >
+          {title}
+        </h3>
+        <p
+          className={`mt-2 text-sm ${
+            isActive ? "text-[#FFE1FF]" : "text-gray-400"
+          }`}
+        >
+          {isActive
+            ? "Access Granted"
+            : isReadOnly
+            ? "Read-only Access"
+            : "Access Restricted"}
+        </p>
+      </div>
+    </div>
+    <div className="mt-4 flex items-center text-[#7E60BF] hover:text-[#E4B1F0]">
+      <span className="text-sm font-medium">Enter Dashboard</span>
+      <ChevronRight size={16} className="ml-1" />
+    </div>
+  </Link>
+);
+
+const ProtectedRoute = ({
+  component: Component,
+  requiredAddress,
+  account,
+  isDemoMode,
+  isReadOnly,
+  isConnecting,
+  ...rest
+}) => {
+  if (isConnecting && !account && !isDemoMode) {
+    return <p className="text-center text-gray-400">Connecting...</p>;
+  }
+
+  if (!account && !isDemoMode && !isReadOnly) {
+    return <Navigate to="/" replace />;
+  }
+
+  // Read-only visitors may view every page; write actions are disabled there
+  const hasAccess = isDemoMode || isReadOnly || (Array.isArray(requiredAddress)
+    ? requiredAddress.some(
+        (address) => address && account.toLowerCase() === address.toLowerCase()
+      )
+    : account.toLowerCase() === requiredAddress?.toLowerCase());
+
+  if (!hasAccess && !isDemoMode) {
+    customToast("You don't have permission to access this page.", "error");
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <Component
+      {...rest}
+      account={account}
+      isDemoMode={isDemoMode}
+      isReadOnly={isReadOnly}
+    />
+  );
+};
+
+// Checks a prospective owner address; `address` is its checksummed form
+export const validateNewOwner = (value, roles) => {
+  const input = value.trim();
+  if (!input) return { address: null, error: null };
+  if (!/^0x[0-9a-fA-F]{40}$/.test(input)) {
+    return { address: null, error: "Enter a 0x-prefixed address of 40 hex characters" };
+  }
+  if (!ethers.isAddress(input)) {
+    return { address: null, error: "The address checksum doesn't match; check it for typos" };
+  }
+  const address = ethers.getAddress(input);
+  if (address === ethers.ZeroAddress) {
+    return { address: null, error: "Ownership can't be transferred to the zero address" };
+  }
+  if (roles.owner && address === ethers.getAddress(roles.owner)) {
+    return { address: null, error: "This address already owns the contract" };
+  }
+  return { address, error: null };
+};
+
+// transferOwnership behind a validated, twice-entered and simulated address
+const OwnershipTransferPanel = ({ contract, roles, isDemoMode, isReadOnly, onTransferred }) => {
+  const queryClient = useQueryClient();
+  const sendTransaction = useSendTransaction();
+  const navigate = useNavigate();
+  const [newOwner, setNewOwner] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [simulatedFor, setSimulatedFor] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+
+  const { address, error } = validateNewOwner(newOwner, roles);
+  const confirmationMatches =
+    !!address && ethers.isAddress(confirmation.trim()) &&
+    ethers.getAddress(confirmation.trim()) === address;
+  const heldRoles = address
+    ? ["manufacturer", "distributor", "retailer"].filter(
+        (role) => roles[role] && ethers.getAddress(roles[role]) === address
+      )
+    : [];
+
+  const { data: code } = useQuery(
+    ["addressCode", contract?.target, address],
+    () => contract.runner.provider.getCode(address),
+    { enabled: !!contract && !!address && !isDemoMode }
+  );
+  const isContract = !!code && code !== "0x";
+
+  const handleSimulate = async () => {
+    setIsSimulating(true);
+    try {
+      await contract.transferOwnership.staticCall(address);
+      setSimulatedFor(address);
+      customToast("Simulation passed. You can now transfer ownership.", "success");
+    } catch (simulationError) {
+      setSimulatedFor(null);
+      notifyContractError(simulationError, "Transfer simulation failed");
+    } finally {
+      setIsSimulating(false);
+    }
+  };
+
+  const transferMutation = useMutation(
+    async () => {
+      if (!contract) throw new Error("Contract not initialized");
+      await sendTransaction(contract, "transferOwnership", [address]);
+      return address;
+    },
+    {
+      onSuccess: (transferredTo) => {
+        customToast(`Ownership transferred to ${transferredTo}`, "success");
+        queryClient.invalidateQueries(["transactionHistory"]);
+        // This account can no longer open the Owner pages; leave before the
+        // refreshed roles make the route reject it
+        navigate("/", { replace: true });
+        onTransferred().catch((refreshError) =>
+          console.error("Error refreshing roles:", refreshError)
+        );
+      },
+      onError: (transferError) => {
+        console.error("Error transferring ownership:", transferError);
+        notifyContractError(transferError, "Failed to transfer ownership");
+      },
+    }
+  );
+
+  return (
+    <Card>
+      <div className="flex items-center mb-6">
+        <KeyRound size={28} className="text-[#7E60BF] mr-3" />
+        <h3 className="text-2xl font-semibold text-[#E4B1F0]">Transfer Ownership</h3>
+      </div>
+      <div className="space-y-4">
+        <p className="text-sm text-gray-400">
+          Current owner:{" "}
+          {roles.owner ? (
+            <AddressName address={roles.owner} className="text-gray-200" />
+          ) : (
+            "Unknown"
+          )}
+        </p>
+        <AddressInput
+          placeholder="New Owner Address"
+          value={newOwner}
+          onChange={setNewOwner}
+        />
+        {error && <p className="text-sm text-red-400">{error}</p>}
+        {address && (
+          <p className="text-sm text-gray-400">
+            Checksummed: <span className="font-mono text-gray-200 break-all">{address}</span>
+          </p>
+        )}
+        {heldRoles.map((role) => (
+          <p key={role} className="flex items-start text-sm text-yellow-400">
+            <AlertCircle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+            This address is the current {role}; it would hold both roles.
+          </p>
+        ))}
+        {isContract && (
+          <p className="flex items-start text-sm text-yellow-400">
+            <AlertCircle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+            This address is a contract. Unless it can call the owner functions,
+            ownership will be lost for good.
+          </p>
+        )}
+        <Input
+          placeholder="Type the new owner address again"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          onPaste={(e) => e.preventDefault()}
+          disabled={!address}
+        />
+        {address && confirmation && !confirmationMatches && (
+          <p className="text-sm text-red-400">The addresses don't match</p>
+        )}
+        <div className="flex flex-wrap gap-4">
+          <Button
+            onClick={handleSimulate}
+            disabled={!confirmationMatches || isSimulating || isDemoMode || !contract}
+          >
+            {isSimulating ? "Simulating..." : "Simulate Transfer"}
+          </Button>
+          <WriteButton
+            onClick={() => transferMutation.mutate()}
+            disabled={
+              !confirmationMatches ||
+              simulatedFor !== address ||
+              transferMutation.isLoading ||
+              isDemoMode
+            }
+            isReadOnly={isReadOnly}
+          >
+            {transferMutation.isLoading ? "Processing..." : "Transfer Ownership"}
+          </WriteButton>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+const OWNER_PAGE_SIZES = [50, 100, 250];
+
+const Owner = ({ contract, account, roles, onRolesChanged, isDemoMode, isReadOnly }) => {
+  const queryClient = useQueryClient();
+  const sendTransaction = useSendTransaction();
+  const pollingInterval = usePollingInterval(5000);
+  const [manufacturer, setManufacturer] = useState("");
+  const [distributor, setDistributor] = useState("");
+  const [retailer, setRetailer] = useState("");
+  const isLive = useContext(LiveUpdatesContext);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(OWNER_PAGE_SIZES[0]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => parseProductFilters(searchParams), [searchParams]);
+  const hasFilters = hasProductFilters(filters);
+  const [filterDraft, setFilterDraft] = useState(filters);
+
+  // Follow the URL when it changes underneath the form (back/forward)
+  useEffect(() => setFilterDraft(filters), [filters]);
+
+  const { data: productCount = 0 } = useQuery(
+    ["ownerProductCount", contract?.target],
+    async () => Number(await contract.getProductCount()),
+    {
+      enabled: !!contract && !isDemoMode,
+      refetchInterval: pollingInterval,
+    }
+  );
+
+  const {
+    data: filterResult,
+    isLoading: isFiltering,
+    error: filterError,
+  } = useQuery(
+    ["ownerFilteredProducts", contract?.target, productCount, filters],
+    () => fetchFilteredProducts(queryClient, contract, filters, productCount, { isLive }),
+    {
+      enabled: !!contract && !isDemoMode && hasFilters,
+      keepPreviousData: true,
+      refetchInterval: pollingInterval,
+      onError: (error) => {
+        console.error("Error filtering products:", error);
+        customToast("Unable to filter products. Please try again.", "error");
+      },
+    }
+  );
+
+  const totalCount = hasFilters ? filterResult?.products.length ?? 0 : productCount;
+  const pageCount = Math.max(Math.ceil(totalCount / pageSize), 1);
+  const currentPage = Math.min(page, pageCount - 1);
+
+  const {
+    data: products = [],
+    isLoading,
+    error,
+  } = useQuery(
+    ["ownerProducts", contract?.target, productCount, currentPage, pageSize],
+    async () => {
+      if (!contract) throw new Error("Contract not initialized");
+      const firstId = currentPage * pageSize + 1;
+      const ids = Array.from(
+        { length: Math.max(Math.min(pageSize, productCount - firstId + 1), 0) },
+        (_, index) => firstId + index
+      );
+      return fetchProductSummaries(queryClient, contract, ids, { isLive });
+    },
+    {
+      enabled: !!contract && !isDemoMode && !hasFilters,
+      keepPreviousData: true,
+      refetchInterval: pollingInterval,
+      retry: 3,
+      onError: (error) => {
+        console.error("Error fetching products:", error);
+        customToast("Failed to fetch products. Please try again.", "error");
+      },
+    }
+  );
+
+  const setAddressesMutation = useMutation(
+    async () => {
+      if (!contract) throw new Error("Contract not initialized");
+      await sendTransaction(contract, "setAddresses", [
+        manufacturer,
+        distributor,
+        retailer,
+      ]);
+    },
+    {
+      onSuccess: () => {
+        customToast("Supply chain roles updated successfully", "success");
+        queryClient.invalidateQueries(["ownerProducts"]);
+      },
+      onError: (error) => {
+        console.error("Error setting addresses:", error);
+        notifyContractError(error, "Failed to update supply chain roles");
+      },
+    }
+  );
+
+  const updateProductMutation = useMutation(
+    async (updatedProduct) => {
+      if (!contract) throw new Error("Contract not initialized");
+      await sendTransaction(
+        contract,
+        "updateProductDetails",
+        [
+          updatedProduct.id,
+          updatedProduct.name,
+          updatedProduct.description,
+          ethers.parseEther(updatedProduct.price.toString()),
+        ],
+        { productId: updatedProduct.id }
+      );
+    },
+    {
+      onSuccess: (_, updatedProduct) => {
+        customToast("Product updated successfully", "success");
+        queryClient.invalidateQueries(productSummaryKey(contract, updatedProduct.id));
+        queryClient.invalidateQueries(["ownerProducts"]);
+        queryClient.invalidateQueries(["ownerFilteredProducts"]);
+      },
+      onError: (error) => {
+        console.error("Error updating product:", error);
+        notifyContractError(error, "Failed to update product");
+      },
+    }
+  );
+
+  const handleApplyFilters = () => {
+    const { from, to, minPrice, maxPrice } = filterDraft;
+    if (from && to && from > to) {
+      customToast("The start date must be before the end date", "error");
+      return;
+    }
+    if ([minPrice, maxPrice].some((price) => price !== "" && (isNaN(price) || Number(price) < 0))) {
+      customToast("Please enter valid prices", "error");
+      return;
+    }
+    if (minPrice !== "" && maxPrice !== "" && Number(minPrice) > Number(maxPrice)) {
+      customToast("The minimum price must not exceed the maximum", "error");
+      return;
+    }
+    setSearchParams(serializeProductFilters(filterDraft));
+    setPage(0);
+  };
+
+  const handleClearFilters = () => {
+    setSearchParams({});
+    setPage(0);
+  };
+
+  const toggleStatusFilter = (status) =>
+    setFilterDraft((prev) => ({
+      ...prev,
+      statuses: prev.statuses.includes(status)
+        ? prev.statuses.filter((selected) => selected !== status)
+        : [...prev.statuses, status].sort(),
+    }));
+
+  const demoProducts = [
+    { id: "1", name: "Demo Product 1", description: "This is a demo product", price: "10" },
+    { id: "2", name: "Demo Product 2", description: "Another demo product", price: "20" },
+  ];
+
+  const pageProducts = hasFilters
+    ? (filterResult?.products || []).slice(currentPage * pageSize, (currentPage + 1) * pageSize)
+    : products;
+  const displayProducts = isDemoMode ? demoProducts : pageProducts;
+  const isLoadingProducts = hasFilters ? isFiltering : isLoading;
+  const productsError = hasFilters ? filterError : error;
+
+  return (
+    <div className="space-y-8">
+      <div className="flex justify-between items-center mb-8">
+        <h2 className="text-3xl font-bold text-[#E4B1F0]">Owner Dashboard</h2>
+        <Link
+          to="/analytics"
+          className="flex items-center text-[#7E60BF] hover:text-[#E4B1F0]"
+        >
+          <BarChart3 size={20} className="mr-2" />
+          Analytics
+        </Link>
+      </div>
+
+      <Card>
+        <div className="flex items-center mb-6">
+          <User size={28} className="text-[#7E60BF] mr-3" />
+          <h3 className="text-2xl font-semibold text-[#E4B1F0]">Set Supply Chain Addresses</h3>
+        </div>
+        <div className="space-y-4">
+          <AddressInput
+            placeholder="Manufacturer Address"
+            value={manufacturer}
+            onChange={setManufacturer}
           />
-          <main className="container mx-auto px-4 py-8">
-            {isWalletMissing && !isDemoMode && (
-              <Card className="mb-8 bg-[#433878] border-[#7E60BF]">
-                <div className="flex items-center space-x-3">
-                  <AlertCircle size={24} className="text-[#E4B1F0]" />
-                  <p className="text-[#E4B1F0] font-medium">
-                    No Ethereum wallet detected. To view actual data, please connect a wallet. Alternatively, you can enable demo mode to explore the app.
-                  </p>
+          <AddressInput
+            placeholder="Distributor Address"
+            value={distributor}
+            onChange={setDistributor}
+          />
+          <AddressInput
+            placeholder="Retailer Address"
+            value={retailer}
+            onChange={setRetailer}
+          />
+          <WriteButton
+            onClick={() => setAddressesMutation.mutate()}
+            disabled={setAddressesMutation.isLoading || isDemoMode}
+            isReadOnly={isReadOnly}
+          >
+            {setAddressesMutation.isLoading ? "Processing..." : "Set Addresses"}
+          </WriteButton>
+        </div>
+      </Card>
+
+      <OwnershipTransferPanel
+        contract={contract}
+        roles={roles}
+        isDemoMode={isDemoMode}
+        isReadOnly={isReadOnly}
+        onTransferred={onRolesChanged}
+      />
+
+      <Card>
+        <div className="flex items-center mb-6">
+          <Calendar size={28} className="text-[#7E60BF] mr-3" />
+          <h3 className="text-2xl font-semibold text-[#E4B1F0]">Filter Products</h3>
+        </div>
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="text-sm text-gray-400">
+              Created from
+              <Input
+                type="date"
+                value={filterDraft.from}
+                onChange={(e) => setFilterDraft({ ...filterDraft, from: e.target.value })}
+                className="mt-1"
+              />
+            </label>
+            <label className="text-sm text-gray-400">
+              Created to
+              <Input
+                type="date"
+                value={filterDraft.to}
+                onChange={(e) => setFilterDraft({ ...filterDraft, to: e.target.value })}
+                className="mt-1"
+              />
+            </label>
+            <label className="text-sm text-gray-400">
+              Min price (INR)
+              <Input
+                type="number"
+                min="0"
+                step="0.01"
+                value={filterDraft.minPrice}
+                onChange={(e) => setFilterDraft({ ...filterDraft, minPrice: e.target.value })}
+                className="mt-1"
+              />
+            </label>
+            <label className="text-sm text-gray-400">
+              Max price (INR)
+              <Input
+                type="number"
+                min="0"
+                step="0.01"
+                value={filterDraft.maxPrice}
+                onChange={(e) => setFilterDraft({ ...filterDraft, maxPrice: e.target.value })}
+                className="mt-1"
+              />
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {PRODUCT_STATUS_LABELS.map((label, status) => (
+              <SelectCheckbox
+                key={label}
+                checked={filterDraft.statuses.includes(status)}
+                onChange={() => toggleStatusFilter(status)}
+                label={label}
+              />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-4">
+            <Button onClick={handleApplyFilters} disabled={isFiltering || isDemoMode}>
+              {isFiltering ? "Filtering..." : "Apply Filters"}
+            </Button>
+            {hasFilters && <Button onClick={handleClearFilters}>Clear Filters</Button>}
+          </div>
+          {hasFilters && filterResult && (
+            <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-300">
+              {filterResult.counts.date !== undefined && (
+                <span>Created in range: {filterResult.counts.date}</span>
+              )}
+              {filterResult.counts.status !== undefined && (
+                <span>In selected statuses: {filterResult.counts.status}</span>
+              )}
+              <span className="text-[#E4B1F0]">
+                Matching all filters: {filterResult.products.length}
+              </span>
+            </div>
+          )}
+        </div>
+      </Card>
+
+      <Card>
+        <div className="flex items-center mb-6">
+          <Package size={28} className="text-[#7E60BF] mr-3" />
+          <h3 className="text-2xl font-semibold text-[#E4B1F0] flex-grow">Manage Products</h3>
+          <ExportButtons
+            name={hasFilters ? "products-filtered" : "products"}
+            disabled={isDemoMode || !contract}
+            className="text-[#7E60BF]"
+            getRows={async () =>
+              hasFilters
+                ? toProductExportRows(filterResult?.products || [], await fetchHandoffs(contract))
+                : fetchProductExportRows(
+                    queryClient,
+                    contract,
+                    Array.from({ length: productCount }, (_, index) => index + 1),
+                    { isLive }
+                  )
+            }
+          />
+        </div>
+        {isLoadingProducts && !isDemoMode ? (
+          <p className="text-center text-gray-400">Loading products...</p>
+        ) : productsError ? (
+          <p className="text-center text-red-500">Error: {productsError.message}</p>
+        ) : (
+          <VirtualizedList
+            items={displayProducts}
+            itemHeight={96}
+            height={576}
+            getKey={(product) => product.id}
+            renderItem={(product) => (
+              <div className="h-full pb-2">
+                <div className="h-full bg-gray-700 rounded-lg px-4 flex items-center gap-4 shadow">
+                  <div className="flex-grow min-w-0">
+                    <h4 className="font-semibold text-[#E4B1F0] truncate">
+                      Product {product.id}: {product.name}
+                    </h4>
+                    <p className="text-sm text-gray-300 truncate">{product.description}</p>
+                    <p className="text-sm text-gray-400">
+                      {product.price} INR
+                      {product.status !== undefined &&
+                        ` · ${PRODUCT_STATUS_LABELS[product.status]}`}
+                      {isDemoMode && " · Demo Data"}
+                    </p>
+                  </div>
+                  <WriteButton
+                    onClick={() => updateProductMutation.mutate(product)}
+                    className="flex-shrink-0"
+                    disabled={updateProductMutation.isLoading || isDemoMode}
+                    isReadOnly={isReadOnly}
+                  >
+                    {updateProductMutation.isLoading ? "Updating..." : "Update Product"}
+                  </WriteButton>
                 </div>
+              </div>
+            )}
+          />
+        )}
+        {!isDemoMode && totalCount > 0 && (
+          <div className="flex flex-col sm:flex-row justify-between items-center gap-4 mt-6 text-sm text-gray-400">
+            <div className="flex items-center gap-2">
+              <span>Per page</span>
+              <select
+                value={pageSize}
+                onChange={(e) => {
+                  setPageSize(Number(e.target.value));
+                  setPage(0);
+                }}
+                className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-gray-200"
+              >
+                {OWNER_PAGE_SIZES.map((size) => (
+                  <option key={size} value={size}>
+                    {size}
+                  </option>
+                ))}
+              </select>
+              <span>
+                {totalCount} {hasFilters ? "matching " : ""}products
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(currentPage - 1)}
+                disabled={currentPage === 0}
+                className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+              >
+                <ChevronLeft size={16} />
+              </button>
+              <span>
+                Page {currentPage + 1} of {pageCount}
+              </span>
+              <button
+                onClick={() => setPage(currentPage + 1)}
+                disabled={currentPage >= pageCount - 1}
+                className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+              >
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+      </Card>
+
+      <ReturnApprovalQueue
+        contract={contract}
+        account={account}
+        isDemoMode={isDemoMode}
+        isReadOnly={isReadOnly}
+      />
+    </div>
+  );
+};
+
+const CHART_COLORS = ["#7E60BF", "#E4B1F0", "#433878", "#FFE1FF", "#9F7AEA"];
+
+const HorizontalBarChart = ({ items, formatValue = (value) => value }) => {
+  const max = Math.max(...items.map((item) => item.value), 1);
+  const rowHeight = 32;
+
+  return (
+    <svg
+      viewBox={`0 0 400 ${items.length * rowHeight}`}
+      className="w-full"
+      role="img"
+    >
+      {items.map((item, index) => (
+        <g key={item.label} transform={`translate(0, ${index * rowHeight})`}>
+          <text x="0" y="20" className="fill-gray-300" fontSize="11">
+            {item.label}
+          </text>
+          <rect
+            x="150"
+            y="6"
+            width={(item.value / max) * 180}
+            height="20"
+            rx="4"
+            fill={CHART_COLORS[index % CHART_COLORS.length]}
+          />
+          <text
+            x={156 + (item.value / max) * 180}
+            y="20"
+            className="fill-gray-200"
+            fontSize="11"
+          >
+            {formatValue(item.value)}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Grouped bars per time bucket, one colour per series
+const ThroughputChart = ({ buckets, series }) => {
+  const width = 600;
+  const height = 200;
+  const padding = { top: 10, bottom: 30, left: 30 };
+  const max = Math.max(...buckets.flatMap((bucket) => series.map((s) => bucket[s.key])), 1);
+  const groupWidth = (width - padding.left) / buckets.length;
+  const barWidth = Math.max((groupWidth * 0.8) / series.length, 1);
+  const plotHeight = height - padding.top - padding.bottom;
+  const labelEvery = Math.ceil(buckets.length / 10);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img">
+        <text x="0" y={padding.top + 8} className="fill-gray-400" fontSize="10">
+          {max}
+        </text>
+        <line
+          x1={padding.left}
+          x2={width}
+          y1={height - padding.bottom}
+          y2={height - padding.bottom}
+          stroke="#4B5563"
+        />
+        {buckets.map((bucket, index) => (
+          <g key={index} transform={`translate(${padding.left + index * groupWidth}, 0)`}>
+            {series.map((s, seriesIndex) => {
+              const barHeight = (bucket[s.key] / max) * plotHeight;
+              return (
+                <rect
+                  key={s.key}
+                  x={groupWidth * 0.1 + seriesIndex * barWidth}
+                  y={height - padding.bottom - barHeight}
+                  width={barWidth}
+                  height={barHeight}
+                  fill={s.color}
+                >
+                  <title>{`${bucket.label}: ${bucket[s.key]} ${s.label.toLowerCase()}`}</title>
+                </rect>
+              );
+            })}
+            {index % labelEvery === 0 && (
+              <text
+                x={groupWidth / 2}
+                y={height - 10}
+                textAnchor="middle"
+                className="fill-gray-400"
+                fontSize="10"
+              >
+                {bucket.label}
+              </text>
+            )}
+          </g>
+        ))}
+      </svg>
+      <div className="flex gap-4 mt-2 text-sm text-gray-300">
+        {series.map((s) => (
+          <span key={s.key} className="flex items-center">
+            <span className="w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: s.color }} />
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const THROUGHPUT_SERIES = [
+  { key: "created", label: "Created", color: CHART_COLORS[0] },
+  { key: "shipped", label: "Shipped", color: CHART_COLORS[1] },
+  { key: "delivered", label: "Delivered", color: "#34D399" },
+];
+
+const Analytics = ({ contract, isDemoMode }) => {
+  const queryClient = useQueryClient();
+  const isLive = useContext(LiveUpdatesContext);
+  const pollingInterval = usePollingInterval(60000);
+  const [windowKey, setWindowKey] = useState("30d");
+  const timeWindow = ANALYTICS_WINDOWS.find((candidate) => candidate.key === windowKey);
+
+  const { data, isLoading, error } = useQuery(
+    ["analytics", contract?.target],
+    () => fetchAnalyticsData(queryClient, contract, { isLive }),
+    {
+      enabled: !!contract && !isDemoMode,
+      refetchInterval: pollingInterval,
+      onError: (error) => {
+        console.error("Error fetching analytics:", error);
+        customToast("Failed to load analytics. Please try again.", "error");
+      },
+    }
+  );
+
+  const analytics = useMemo(
+    () => data && computeAnalytics(data, timeWindow, Math.floor(Date.now() / 1000)),
+    [data, timeWindow]
+  );
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <h2 className="text-3xl font-bold text-[#E4B1F0]">Analytics</h2>
+        <div className="flex gap-2">
+          {ANALYTICS_WINDOWS.map((candidate) => (
+            <button
+              key={candidate.key}
+              onClick={() => setWindowKey(candidate.key)}
+              className={`px-3 py-1 rounded-full text-sm ${
+                candidate.key === windowKey
+                  ? "bg-[#7E60BF] text-white"
+                  : "bg-gray-700 text-gray-300 hover:bg-[#433878]"
+              }`}
+            >
+              {candidate.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isDemoMode ? (
+        <Card>
+          <p className="text-gray-400">Connect a wallet to see analytics for a deployment.</p>
+        </Card>
+      ) : isLoading ? (
+        <Card>
+          <p className="text-center text-gray-400">Loading analytics...</p>
+        </Card>
+      ) : error ? (
+        <Card>
+          <p className="text-center text-red-500">Error: {error.message}</p>
+        </Card>
+      ) : (
+        analytics && (
+          <>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <Card>
+                <h3 className="text-xl font-semibold mb-4 text-[#E4B1F0]">Products by Status</h3>
+                <HorizontalBarChart
+                  items={analytics.byStatus.map((row) => ({ label: row.label, value: row.count }))}
+                />
               </Card>
-            )}
-            <Routes>
-              <Route
-                path="/"
-                element={<Home roles={roles} account={account} />}
-              />
-              <Route
-                path="/owner"
-                element={
-                  <ProtectedRoute
-                    component={Owner}
-                    contract={contract}
-                    requiredAddress={roles.owner}
-                    account={account}
-                    isDemoMode={isDemoMode}
-                  />
-                }
-              />
-              <Route
-                path="/manufacturer"
-                element={
-                  <ProtectedRoute
-                    component={Manufacturer}
-                    contract={contract}
-                    requiredAddress={roles.manufacturer}
-                    account={account}
-                    isDemoMode={isDemoMode}
-                  />
-                }
-              />
-              <Route
-                path="/distributor"
-                element={
-                  <ProtectedRoute
-                    component={Distributor}
-                    contract={contract}
-                    requiredAddress={roles.distributor}
-                    account={account}
-                    isDemoMode={isDemoMode}
-                  />
-                }
-              />
-              <Route
-                path="/retailer"
-                element={
-                  <ProtectedRoute
-                    component={Retailer}
-                    contract={contract}
-                    requiredAddress={roles.retailer}
-                    account={account}
-                    isDemoMode={isDemoMode}
-                  />
-                }
-              />
-              <Route
-                path="/track"
-                element={
-                  <ProtectedRoute
-                    component={ProductTrackingPage}
-                    contract={contract}
-                    requiredAddress={Object.values(roles)}
-                    account={account}
-                    isDemoMode={isDemoMode}
-                  />
-                }
-              />
-              <Route
-                path="/history"
-                element={
-                  <ProtectedRoute
-                    component={() => <TransactionHistory contract={contract} isDemoMode={isDemoMode} />}
-                    contract={contract}
-                    requiredAddress={Object.values(roles)}
-                    account={account}
-                    isDemoMode={isDemoMode}
-                  />
-                }
-              />
-            </Routes>
-          </main>
-          <DemoModeToggle isDemoMode={isDemoMode} setIsDemoMode={setIsDemoMode} />
+              <Card>
+                <h3 className="text-xl font-semibold mb-4 text-[#E4B1F0]">Value by Status</h3>
+                <HorizontalBarChart
+                  items={analytics.byStatus.map((row) => ({ label: row.label, value: row.value }))}
+                  formatValue={(value) => `${value.toLocaleString()} INR`}
+                />
+              </Card>
+            </div>
+
+            <Card>
+              <h3 className="text-xl font-semibold mb-4 text-[#E4B1F0]">
+                Throughput per {timeWindow.days && timeWindow.days <= 30 ? "day" : "week"}
+              </h3>
+              <ThroughputChart buckets={analytics.throughput} series={THROUGHPUT_SERIES} />
+            </Card>
+
+            <Card>
+              <h3 className="text-xl font-semibold mb-4 text-[#E4B1F0]">Dwell Time per Stage</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead className="text-[#7E60BF]">
+                    <tr>
+                      <th className="py-2 pr-4">Stage</th>
+                      <th className="py-2 pr-4">Products</th>
+                      <th className="py-2 pr-4">Average</th>
+                      <th className="py-2 pr-4">Median</th>
+                      <th className="py-2">90th percentile</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700 text-gray-200">
+                    {analytics.dwell.map((row) => (
+                      <tr key={row.label}>
+                        <td className="py-2 pr-4">{row.label}</td>
+                        <td className="py-2 pr-4">{row.count}</td>
+                        {[row.average, row.p50, row.p90].map((seconds, index) => (
+                          <td
+                            key={index}
+                            className={`py-2 pr-4 ${
+                              seconds > SLOW_STAGE_SECONDS ? "text-red-400" : ""
+                            }`}
+                          >
+                            {seconds === null ? "-" : formatDuration(seconds)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            <Card>
+              <h3 className="text-xl font-semibold mb-4 text-[#E4B1F0]">Partners</h3>
+              {analytics.partners.length === 0 ? (
+                <p className="text-gray-400">No handoffs in this window.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left">
+                    <thead className="text-[#7E60BF]">
+                      <tr>
+                        <th className="py-2 pr-4">Address</th>
+                        <th className="py-2 pr-4">Role</th>
+                        <th className="py-2 pr-4">Products</th>
+                        <th className="py-2 pr-4">Handoffs</th>
+                        <th className="py-2">Avg. response time</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700 text-gray-200">
+                      {analytics.partners.map((partner) => (
+                        <tr key={partner.address}>
+                          <td className="py-2 pr-4 font-mono">
+                            {partner.address.slice(0, 6)}...{partner.address.slice(-4)}
+                          </td>
+                          <td className="py-2 pr-4">{partner.roles}</td>
+                          <td className="py-2 pr-4">{partner.products}</td>
+                          <td className="py-2 pr-4">{partner.handoffs}</td>
+                          <td className="py-2">
+                            {partner.averageResponse === null
+                              ? "-"
+                              : formatDuration(partner.averageResponse)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </Card>
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+const Manufacturer = ({ contract, chainId, isDemoMode, isReadOnly }) => {
+  const queryClient = useQueryClient();
+  const sendTransaction = useSendTransaction();
+  const isLive = useContext(LiveUpdatesContext);
+  const pollingInterval = usePollingInterval(5000);
+  const [newProduct, setNewProduct] = useState({
+    name: "",
+    description: "",
+    price: "",
+  });
+
+  const {
+    data: products = [],
+    isLoading,
+    error,
+  } = useQuery(
+    ["manufacturerProducts", contract?.target],
+    async () => {
+      if (!contract) throw new Error("Contract not initialized");
+      const productsData = await contract.getProductsCreated();
+      return productsData.map((product) => ({
+        ...product,
+        id: product.id.toString(),
+        name: product.name || "N/A",
+        description: product.description || "N/A",
+        price: ethers.formatEther(product.price),
+      }));
+    },
+    {
+      enabled: !!contract && !isDemoMode,
+      refetchInterval: pollingInterval,
+      retry: 3,
+      onError: (error) => {
+        console.error("Error fetching manufacturer products:", error);
+        customToast("Failed to fetch products. Please try again.", "error");
+      },
+    }
+  );
+
+  const createProductMutation = useMutation(
+    async (newProduct) => {
+      if (!contract) throw new Error("Contract not initialized");
+      await sendTransaction(contract, "createProduct", [
+        newProduct.name,
+        newProduct.description,
+        ethers.parseEther(newProduct.price),
+      ]);
+    },
+    {
+      onSuccess: () => {
+        customToast("Product created successfully!", "success");
+        setNewProduct({ name: "", description: "", price: "" });
+        queryClient.invalidateQueries(["manufacturerProducts"]);
+      },
+      onError: (error) => {
+        console.error("Error creating product:", error);
+        notifyContractError(error, "Failed to create product");
+      },
+    }
+  );
+
+  const sendProductMutation = useMutation(
+    async (productId) => {
+      if (!contract) throw new Error("Contract not initialized");
+      await sendTransaction(contract, "sendProductByManufacturer", [productId], {
+        productId,
+      });
+    },
+    {
+      onSuccess: (_, productId) => {
+        customToast(`Product ${productId} sent successfully!`, "success");
+        queryClient.invalidateQueries(["manufacturerProducts"]);
+      },
+      onError: (error) => {
+        console.error("Error sending product:", error);
+        notifyContractError(error, "Failed to send product");
+      },
+    }
+  );
+
+  const handleCreateProduct = (e) => {
+    e.preventDefault();
+    if (!newProduct.name.trim()) {
+      customToast("Product name is required", "error");
+      return;
+    }
+    if (!newProduct.description.trim()) {
+      customToast("Product description is required", "error");
+      return;
+    }
+    if (isNaN(newProduct.price) || parseFloat(newProduct.price) <= 0) {
+      customToast("Please enter a valid price greater than 0", "error");
+      return;
+    }
+    createProductMutation.mutate(newProduct);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setNewProduct((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const demoProducts = [
+    { id: "1", name: "Demo Product 1", description: "This is a demo product", price: "10.00" },
+    { id: "2", name: "Demo Product 2", description: "Another demo product", price: "20.00" },
+  ];
+
+  const displayProducts = isDemoMode ? demoProducts : products;
+
+  return (
+    <Card>
+      <h2 className="text-2xl font-bold mb-6 text-[#E4B1F0]">Manufacturer Dashboard</h2>
+
+      <form onSubmit={handleCreateProduct} className="mb-8">
+        <div className="flex items-center mb-4">
+          <Package size={24} className="text-[#7E60BF] mr-2" />
+          <h3 className="text-xl font-semibold text-[#E4B1F0]">Create New Product</h3>
         </div>
-        <ToastContainer
-          position="bottom-right"
-          autoClose={3000}
-          hideProgressBar={false}
-          newestOnTop={true}
-          closeOnClick
-          rtl={false}
-          pauseOnFocusLoss
-          draggable
-          pauseOnHover
-          theme="dark"
-          limit={3}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input
+            type="text"
+            name="name"
+            value={newProduct.name}
+            onChange={handleInputChange}
+            placeholder="Product Name"
+            required
+          />
+          <Input
+            type="number"
+            name="price"
+            value={newProduct.price}
+            onChange={handleInputChange}
+            placeholder="Price in INR"
+            step="0.01"
+            min="0"
+            required
+          />
+        </div>
+        <textarea
+          name="description"
+          value={newProduct.description}
+          onChange={handleInputChange}
+          placeholder="Product Description"
+          className="w-full px-4 py-2 mt-4 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#7E60BF] text-gray-200 placeholder-gray-400"
+          required
         />
-      </Router>
-    </Provider>
+        <WriteButton
+          type="submit"
+          className="mt-4"
+          disabled={createProductMutation.isLoading || isDemoMode}
+          isReadOnly={isReadOnly}
+        >
+          {createProductMutation.isLoading ? "Creating..." : "Create Product"}
+        </WriteButton>
+      </form>
+
+      <BulkProductImport
+        contract={contract}
+        existingProducts={products}
+        isDemoMode={isDemoMode}
+        isReadOnly={isReadOnly}
+      />
+
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-[#E4B1F0]">Created Products</h3>
+        <ExportButtons
+          name="created-products"
+          disabled={isDemoMode || !contract}
+          className="text-[#7E60BF]"
+          getRows={() =>
+            fetchProductExportRows(
+              queryClient,
+              contract,
+              products.map((product) => product.id),
+              { isLive }
+            )
+          }
+        />
+      </div>
+      {isLoading && !isDemoMode ? (
+        <p className="text-center text-gray-400">Loading products...</p>
+      ) : error ? (
+        <p className="text-center text-red-500">Error: {error.message}</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {displayProducts.map((product) => (
+            <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
+              <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
+              <p>Name: {product.name}</p>
+              <p>Description: {product.description}</p>
+              <p>Price: {product.price} INR</p>
+              <ProductQrCode contract={contract} chainId={chainId} productId={product.id} />
+              <WriteButton
+                onClick={() => sendProductMutation.mutate(product.id)}
+                className="mt-2"
+                disabled={sendProductMutation.isLoading || isDemoMode}
+                isReadOnly={isReadOnly}
+              >
+                {sendProductMutation.isLoading ? "Sending..." : "Send to Distributor"}
+              </WriteButton>
+              {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
   );
 };
 
-const Navbar = ({ account, hasRole, getUserRole }) => {
-  const [isMenuOpen, setIsMenuOpen] = useState(false);
+const IMPORT_ROW_STYLES = {
+  invalid: "text-red-400",
+  queued: "text-gray-400",
+  sending: "text-yellow-400",
+  created: "text-green-400",
+  failed: "text-red-400",
+  unknown: "text-yellow-400",
+};
+
+const readImportFile = async (file) => {
+  const text = await file.text();
+  if (file.name.toLowerCase().endsWith(".json")) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data.products;
+    if (!Array.isArray(items)) throw new Error("Expected an array of products");
+    return items.map((item) => ({
+      name: String(item?.name ?? ""),
+      description: String(item?.description ?? ""),
+      price: String(item?.price ?? ""),
+    }));
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  const columns = header.map((cell) => cell.trim().toLowerCase());
+  // Files without a header row are read as name, description, price
+  const hasHeader = columns.includes("name");
+  const indexOf = (column, fallback) =>
+    hasHeader ? columns.indexOf(column) : fallback;
+  const nameIndex = indexOf("name", 0);
+  const descriptionIndex = indexOf("description", 1);
+  const priceIndex = indexOf("price", 2);
+
+  return (hasHeader ? rows : [header, ...rows]).map((cells) => ({
+    name: cells[nameIndex] ?? "",
+    description: cells[descriptionIndex] ?? "",
+    price: cells[priceIndex] ?? "",
+  }));
+};
+
+const validateImportRows = (items, existingProducts) => {
+  const existingNames = new Map(
+    existingProducts.map((product) => [product.name.trim().toLowerCase(), product.id])
+  );
+  const seenNames = new Map();
+
+  return items.map((item, index) => {
+    const row = {
+      row: index + 1,
+      name: item.name.trim(),
+      description: item.description.trim(),
+      price: item.price.trim(),
+    };
+    const errors = [];
+    const key = row.name.toLowerCase();
+
+    if (!row.name) errors.push("Name is empty");
+    if (!row.description) errors.push("Description is empty");
+    if (!/^\d+(\.\d{1,18})?$/.test(row.price) || parseFloat(row.price) <= 0) {
+      errors.push("Price must be a number greater than 0");
+    }
+    if (row.name && existingNames.has(key)) {
+      errors.push(`Duplicate of product ${existingNames.get(key)}`);
+    } else if (row.name && seenNames.has(key)) {
+      errors.push(`Duplicate of row ${seenNames.get(key)}`);
+    }
+    if (row.name && !seenNames.has(key)) seenNames.set(key, row.row);
+
+    return { ...row, errors, state: errors.length ? "invalid" : "queued" };
+  });
+};
+
+// Creates products from a CSV or JSON file
+const BulkProductImport = ({ contract, existingProducts, isDemoMode, isReadOnly }) => {
+  const queryClient = useQueryClient();
+  const sendSequentially = useSendSequentially();
+  const [rows, setRows] = useState([]);
+  const [fileName, setFileName] = useState("");
+  const [isRunning, setIsRunning] = useState(false);
+  const [isPausing, setIsPausing] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const pausedRef = useRef(false);
+  const fileInputRef = useRef(null);
+
+  const updateRow = (rowNumber, changes) =>
+    setRows((prev) =>
+      prev.map((row) => (row.row === rowNumber ? { ...row, ...changes } : row))
+    );
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const items = await readImportFile(file);
+      if (items.length === 0) {
+        customToast("The file has no product rows", "error");
+        return;
+      }
+      setRows(validateImportRows(items, existingProducts));
+      setFileName(file.name);
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      customToast(`Could not read ${file.name}: ${error.message}`, "error");
+    }
+  };
+
+  const runQueue = async () => {
+    const queue = rows.filter((row) => row.state === "queued");
+    pausedRef.current = false;
+    setIsRunning(true);
+
+    let created = 0;
+    try {
+      await sendSequentially(contract, "createProduct", queue, {
+        getArgs: (row) => [row.name, row.description, ethers.parseEther(row.price)],
+        getLabel: (row) => `Row ${row.row}: ${row.name}`,
+        shouldStop: () => pausedRef.current,
+        onSending: (row) => updateRow(row.row, { state: "sending", error: null }),
+        onSubmitted: (row, tx) => updateRow(row.row, { transactionHash: tx.hash }),
+        onMined: (row, receipt) => {
+          updateRow(row.row, {
+            state: "created",
+            productId: getCreatedProductId(contract, receipt),
+            transactionHash: receipt.hash,
+          });
+          created++;
+        },
+        onFailed: (row, error, { submitted }) => {
+          console.error(`Error creating product from row ${row.row}:`, error);
+          const decoded = decodeContractError(error);
+          if (decoded.kind === "rejected") {
+            // Rejecting in the wallet pauses the import instead of failing rows
+            updateRow(row.row, { state: "queued" });
+          } else if (submitted && !error.receipt) {
+            // Broadcast but never confirmed, e.g. a receipt timeout: it may
+            // still be mined, so it is checked by receipt and never resent
+            updateRow(row.row, {
+              state: "unknown",
+              error: "Submitted, but no confirmation was received",
+            });
+          } else {
+            updateRow(row.row, { state: "failed", error: decoded.message });
+          }
+        },
+      });
+    } catch (error) {
+      console.error("Error running the import:", error);
+      notifyContractError(error, "Import failed");
+    }
+
+    setIsRunning(false);
+    setIsPausing(false);
+    if (created > 0) {
+      queryClient.invalidateQueries(["manufacturerProducts"]);
+      customToast(`Created ${created} product${created === 1 ? "" : "s"}`, "success");
+    }
+  };
+
+  const handlePause = () => {
+    pausedRef.current = true;
+    setIsPausing(true);
+  };
+
+  const handleCheckUnconfirmed = async () => {
+    setIsChecking(true);
+    for (const row of rows.filter((row) => row.state === "unknown")) {
+      try {
+        const receipt = await contract.runner.provider.getTransactionReceipt(
+          row.transactionHash
+        );
+        if (!receipt) continue;
+        updateRow(
+          row.row,
+          receipt.status === 1
+            ? { state: "created", productId: getCreatedProductId(contract, receipt), error: null }
+            : { state: "failed", error: "The transaction reverted" }
+        );
+      } catch (error) {
+        console.error(`Error checking row ${row.row}:`, error);
+      }
+    }
+    setIsChecking(false);
+    queryClient.invalidateQueries(["manufacturerProducts"]);
+  };
+
+  const handleRetryFailed = () =>
+    setRows((prev) =>
+      prev.map((row) =>
+        row.state === "failed" ? { ...row, state: "queued", error: null } : row
+      )
+    );
+
+  const handleDownloadResults = () => {
+    const baseName = fileName.replace(/\.[^.]+$/, "");
+    const results = rows.map((row) => ({
+      row: row.row,
+      name: row.name,
+      price: row.price,
+      status: row.state,
+      productId: row.productId ?? null,
+      transactionHash: row.transactionHash ?? null,
+      error: row.error ?? (row.errors.length ? row.errors.join("; ") : null),
+    }));
+
+    if (fileName.toLowerCase().endsWith(".json")) {
+      downloadFile(
+        `${baseName}-results.json`,
+        JSON.stringify(results, null, 2),
+        "application/json"
+      );
+    } else {
+      const columns = Object.keys(results[0]);
+      downloadFile(
+        `${baseName}-results.csv`,
+        toCsv([columns, ...results.map((result) => columns.map((column) => result[column]))]),
+        "text/csv"
+      );
+    }
+  };
+
+  const counts = rows.reduce((acc, row) => {
+    acc[row.state] = (acc[row.state] || 0) + 1;
+    return acc;
+  }, {});
+  const processed = (counts.created || 0) + (counts.failed || 0) + (counts.unknown || 0);
+  const total = rows.length - (counts.invalid || 0);
 
   return (
-    <nav className="bg-gray-900 shadow-md border-b border-[#433878] sticky top-0 z-50">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex justify-between items-center h-16">
-          <div className="flex items-center">
-            <motion.span
-              className="text-2xl font-bold text-[#E4B1F0]"
-              initial={{ opacity: 0, y: -20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.5 }}
-            >
-              ChainFlow
-            </motion.span>
-          </div>
-          <div className="hidden sm:flex sm:items-center sm:space-x-8">
-            <NavLink to="/">Home</NavLink>
-            {hasRole() && (
-              <>
-                <NavLink to="/track">Track Product</NavLink>
-                <NavLink to="/history">Transaction History</NavLink>
-              </>
-            )}
-            {account ? (
-              <div className="text-sm font-medium text-[#E4B1F0] bg-[#433878] px-4 py-2 rounded-full">
-                {getUserRole()}: {account.slice(0, 6)}...{account.slice(-4)}
-              </div>
-            ) : (
-              <Button onClick={() => {}}>Connect Wallet</Button>
-            )}
-          </div>
-          {/* Mobile menu button */}
-          <div className="sm:hidden">
-            <button
-              onClick={() => setIsMenuOpen(!isMenuOpen)}
-              className="inline-flex items-center justify-center p-2 rounded-md text-gray-400 hover:text-white hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
+    <div className="mb-8">
+      <div className="flex items-center mb-4">
+        <Upload size={24} className="text-[#7E60BF] mr-2" />
+        <h3 className="text-xl font-semibold text-[#E4B1F0]">Bulk Import</h3>
+      </div>
+      <p className="text-sm text-gray-400 mb-4">
+        Upload a CSV with <code>name</code>, <code>description</code> and{" "}
+        <code>price</code> (INR) columns, or a JSON array of the same fields.
+      </p>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <div className="flex flex-wrap gap-2">
+        <Button
+          onClick={() => fileInputRef.current.click()}
+          disabled={isRunning || isDemoMode}
+        >
+          <Upload size={18} className="mr-2" />
+          Choose File
+        </Button>
+        {rows.length > 0 &&
+          (isRunning ? (
+            <Button onClick={handlePause} disabled={isPausing}>
+              <Pause size={18} className="mr-2" />
+              {isPausing ? "Pausing..." : "Pause"}
+            </Button>
+          ) : (
+            <WriteButton
+              onClick={runQueue}
+              disabled={!counts.queued || isDemoMode}
+              isReadOnly={isReadOnly}
             >
-              <span className="sr-only">Open main menu</span>
-              {isMenuOpen ? (
-                <X className="block h-6 w-6" aria-hidden="true" />
-              ) : (
-                <Menu className="block h-6 w-6" aria-hidden="true" />
-              )}
-            </button>
-          </div>
-        </div>
+              <Play size={18} className="mr-2" />
+              {processed > 0 ? "Resume" : "Start Import"}
+            </WriteButton>
+          ))}
+        {!isRunning && counts.unknown > 0 && (
+          <Button onClick={handleCheckUnconfirmed} disabled={isChecking}>
+            {isChecking ? "Checking..." : "Check Unconfirmed"}
+          </Button>
+        )}
+        {!isRunning && counts.failed > 0 && (
+          <Button onClick={handleRetryFailed}>Retry Failed</Button>
+        )}
+        {!isRunning && processed > 0 && (
+          <Button onClick={handleDownloadResults}>
+            <Download size={18} className="mr-2" />
+            Download Results
+          </Button>
+        )}
+        {!isRunning && rows.length > 0 && (
+          <Button onClick={() => setRows([])}>Clear</Button>
+        )}
       </div>
 
-      {/* Mobile menu */}
-      {isMenuOpen && (
-        <div className="sm:hidden bg-gray-800">
-          <div className="px-2 pt-2 pb-3 space-y-1">
-            <NavLink to="/">Home</NavLink>
-            {hasRole() && (
-              <>
-                <NavLink to="/track">Track Product</NavLink>
-                <NavLink to="/history">Transaction History</NavLink>
-              </>
-            )}
+      {rows.length > 0 && (
+        <>
+          <p className="text-sm text-gray-300 mt-4 mb-2">
+            {fileName}: {total} of {rows.length} rows valid, {processed} of {total}{" "}
+            processed ({counts.created || 0} created, {counts.failed || 0} failed
+            {counts.unknown ? `, ${counts.unknown} unconfirmed` : ""})
+          </p>
+          <div className="w-full bg-gray-700 rounded-full h-2 mb-4">
+            <div
+              className="bg-[#7E60BF] h-2 rounded-full transition-all duration-300"
+              style={{ width: `${total ? (processed / total) * 100 : 0}%` }}
+            />
           </div>
-        </div>
+          <div className="max-h-96 overflow-y-auto divide-y divide-gray-600 bg-gray-700 rounded-lg">
+            {rows.map((row) => (
+              <div key={row.row} className="p-3 grid grid-cols-12 gap-2 text-sm">
+                <span className="col-span-1 text-gray-400">{row.row}</span>
+                <span className="col-span-4 truncate" title={row.description}>
+                  {row.name || <em className="text-gray-500">No name</em>}
+                </span>
+                <span className="col-span-2">{row.price} INR</span>
+                <span className={`col-span-5 ${IMPORT_ROW_STYLES[row.state]}`}>
+                  {row.state === "invalid"
+                    ? row.errors.join("; ")
+                    : row.state === "created"
+                    ? `Created product ${row.productId}`
+                    : row.state === "failed"
+                    ? row.error
+                    : row.state === "unknown"
+                    ? `Unconfirmed: ${row.transactionHash.slice(0, 10)}...`
+                    : row.state === "sending"
+                    ? "Sending..."
+                    : "Queued"}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
       )}
-    </nav>
+    </div>
   );
 };
 
-const NavLink = ({ to, children }) => (
-  <Link
-    to={to}
-    className="px-3 py-2 rounded-md text-sm font-medium text-[#E4B1F0] hover:text-[#FFE1FF] hover:bg-[#433878] transition duration-300"
-  >
-    {children}
-  </Link>
-);
+// Tracks selected product IDs, dropping any that leave the list
+const useProductSelection = (products) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selected = selectedIds.filter((id) => products.some((product) => product.id === id));
 
-const Home = ({ roles, account }) => {
-  const roleCards = [
-    { title: "Owner", icon: User, path: "/owner", address: roles.owner },
-    {
-      title: "Manufacturer",
-      icon: Package,
-      path: "/manufacturer",
-      address: roles.manufacturer,
-    },
-    {
-      title: "Distributor",
-      icon: Truck,
-      path: "/distributor",
-      address: roles.distributor,
-    },
-    {
-      title: "Retailer",
-      icon: Store,
-      path: "/retailer",
-      address: roles.retailer,
-    },
-  ];
+  return {
+    selected,
+    isSelected: (id) => selected.includes(id),
+    toggle: (id) =>
+      setSelectedIds((prev) =>
+        prev.includes(id) ? prev.filter((selectedId) => selectedId !== id) : [...prev, id]
+      ),
+    toggleAll: () =>
+      setSelectedIds(
+        selected.length === products.length ? [] : products.map((product) => product.id)
+      ),
+  };
+};
 
-  return (
-    <div className="min-h-screen bg-gray-900">
-      <header className="bg-gradient-to-r from-[#433878] to-[#7E60BF] py-20 px-4 sm:px-6 lg:px-8">
-        <div className="max-w-7xl mx-auto">
-          <motion.h1
-            className="text-4xl sm:text-5xl md:text-6xl font-extrabold text-white mb-4"
-            initial={{ opacity: 0, y: -20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.5 }}
-          >
-            Welcome to ChainFlow
-          </motion.h1>
-          <motion.p
-            className="text-xl sm:text-2xl text-[#FFE1FF] max-w-3xl"
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.5, delay: 0.2 }}
-          >
-            Revolutionizing supply chain management with blockchain technology.
-            Track products, manage inventory, and ensure transparency like never
-            before.
-          </motion.p>
-        </div>
-      </header>
+// Exports the selected products, or the whole list when none are selected
+const useSelectionExport = (contract) => {
+  const queryClient = useQueryClient();
+  const isLive = useContext(LiveUpdatesContext);
+
+  return (selection, products) =>
+    fetchProductExportRows(
+      queryClient,
+      contract,
+      selection.selected.length > 0
+        ? selection.selected
+        : products.map((product) => product.id),
+      { isLive }
+    );
+};
 
-      <main className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
-        <motion.h2
-          className="text-3xl font-bold text-[#E4B1F0] mb-8"
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ duration: 0.5, delay: 0.4 }}
-        >
-          Select Your Role
-        </motion.h2>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-          {roleCards.map((role, index) => (
-            <motion.div
-              key={role.title}
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.5, delay: 0.6 + index * 0.1 }}
-            >
-              <RoleCard
-                title={role.title}
-                icon={role.icon}
-                path={role.path}
-                isActive={
-                  account &&
-                  role.address &&
-                  account.toLowerCase() === role.address.toLowerCase()
-                }
-              />
-            </motion.div>
-          ))}
-        </div>
-      </main>
-    </div>
-  );
+// Runs one contract call per selected product and tracks the outcome of each
+const useBulkProductAction = (contract, method, queryNames) => {
+  const queryClient = useQueryClient();
+  const sendSequentially = useSendSequentially();
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const run = async (productIds) => {
+    setIsRunning(true);
+    setProgress({ total: productIds.length, completed: 0, failures: [] });
+
+    const complete = (failure) =>
+      setProgress((prev) => ({
+        ...prev,
+        completed: prev.completed + 1,
+        failures: failure ? [...prev.failures, failure] : prev.failures,
+      }));
+
+    try {
+      const unsent = await sendSequentially(contract, method, productIds, {
+        getArgs: (productId) => [productId],
+        getLabel: (productId) => `Product ${productId}`,
+        getProductId: (productId) => productId,
+        onMined: () => complete(),
+        onFailed: (productId, error) => {
+          console.error(`Error running ${method} for product ${productId}:`, error);
+          complete({ productId, message: decodeContractError(error).message });
+        },
+      });
+      unsent.forEach((productId) =>
+        complete({ productId, message: "Not sent after the batch was rejected in the wallet" })
+      );
+    } catch (error) {
+      if (error.code === TRANSACTION_CANCELLED) {
+        setProgress(null);
+        return;
+      }
+      console.error(`Error running ${method} in bulk:`, error);
+      notifyContractError(error, "Bulk action failed");
+    } finally {
+      setIsRunning(false);
+      queryClient.invalidateQueries({
+        predicate: (query) => queryNames.includes(query.queryKey[0]),
+      });
+    }
+  };
+
+  return { run, isRunning, progress };
 };
 
-const RoleCard = ({ title, icon: Icon, path, isActive }) => (
-  <Link
-    to={path}
-    className={`block p-6 bg-gray-800 rounded-lg shadow-lg hover:shadow-xl transition-all duration-300 ${
-      isActive ? "border-2 border-[#7E60BF]" : "border border-gray-700"
-    }`}
-  >
-    <div className="flex items-center space-x-4">
-      <div
-        className={`p-3 rounded-full ${
-          isActive ? "bg-[#7E60BF]" : "bg-gray-700"
-        }`}
-      >
-        <Icon
-          size={24}
-          className={isActive ? "text-white" : "text-[#E4B1F0]"}
-        />
-      </div>
-      <div>
-        <h3
-          className={`text-xl font-semibold ${
-            isActive ? "text-[#E4B1F0]" : "text-white"
-          }`}
-        >
-          {title}
-        </h3>
-        <p
-          className={`mt-2 text-sm ${
-            isActive ? "text-[#FFE1FF]" : "text-gray-400"
-          }`}
-        >
-          {isActive ? "Access Granted" : "Access Restricted"}
-        </p>
-      </div>
-    </div>
-    <div className="mt-4 flex items-center text-[#7E60BF] hover:text-[#E4B1F0]">
-      <span className="text-sm font-medium">Enter Dashboard</span>
-      <ChevronRight size={16} className="ml-1" />
-    </div>
-  </Link>
+const SelectCheckbox = ({ checked, onChange, label, disabled }) => (
+  <label className="flex items-center text-sm text-gray-300 cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={onChange}
+      disabled={disabled}
+      className="mr-2 h-4 w-4 accent-[#7E60BF]"
+    />
+    {label}
+  </label>
 );
 
-const ProtectedRoute = ({
-  component: Component,
-  requiredAddress,
-  account,
-  isDemoMode,
-  ...rest
-}) => {
-  if (!account && !isDemoMode) {
-    return <Navigate to="/" replace />;
-  }
-
-  const hasAccess = isDemoMode || (Array.isArray(requiredAddress)
-    ? requiredAddress.some(
-        (address) => address && account.toLowerCase() === address.toLowerCase()
-      )
-    : account.toLowerCase() === requiredAddress?.toLowerCase());
+const BulkActionBar = ({ products, selection, action, label, isDemoMode, isReadOnly }) => {
+  const { run, isRunning, progress } = action;
+  const failedIds = progress?.failures.map((failure) => failure.productId) || [];
 
-  if (!hasAccess && !isDemoMode) {
-    customToast("You don't have permission to access this page.", "error");
-    return <Navigate to="/" replace />;
-  }
+  if (products.length === 0) return null;
 
-  return <Component {...rest} isDemoMode={isDemoMode} />;
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <SelectCheckbox
+          checked={selection.selected.length === products.length}
+          onChange={selection.toggleAll}
+          label={`Select all (${selection.selected.length}/${products.length})`}
+          disabled={isRunning || isDemoMode}
+        />
+        <WriteButton
+          onClick={() => run(selection.selected)}
+          disabled={isRunning || selection.selected.length === 0 || isDemoMode}
+          isReadOnly={isReadOnly}
+          className="py-2"
+        >
+          {isRunning
+            ? `Processing ${progress.completed}/${progress.total}...`
+            : `${label} (${selection.selected.length})`}
+        </WriteButton>
+      </div>
+
+      {progress && (
+        <div className="mt-4">
+          <div className="w-full bg-gray-700 rounded-full h-2">
+            <div
+              className="bg-[#7E60BF] h-2 rounded-full transition-all duration-300"
+              style={{ width: `${(progress.completed / progress.total) * 100}%` }}
+            />
+          </div>
+          {!isRunning && (
+            <p className="text-sm text-gray-300 mt-2">
+              {progress.total - progress.failures.length} of {progress.total} succeeded
+            </p>
+          )}
+          {progress.failures.length > 0 && (
+            <div className="bg-red-900 text-red-200 p-4 rounded-lg mt-2 text-sm">
+              {progress.failures.map((failure) => (
+                <p key={failure.productId}>
+                  Product {failure.productId}: {failure.message}
+                </p>
+              ))}
+              {!isRunning && (
+                <button
+                  onClick={() => run(failedIds)}
+                  disabled={isReadOnly}
+                  className="mt-2 text-red-300 hover:text-red-100"
+                >
+                  Retry failed
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
 };
 
-const Owner = ({ contract, isDemoMode }) => {
+const Distributor = ({ contract, chainId, account, isDemoMode, isReadOnly }) => {
   const queryClient = useQueryClient();
-  const [manufacturer, setManufacturer] = useState("");
-  const [distributor, setDistributor] = useState("");
-  const [retailer, setRetailer] = useState("");
-  const [dateRange, setDateRange] = useState({ start: "", end: "" });
+  const sendTransaction = useSendTransaction();
+  const pollingInterval = usePollingInterval(5000);
 
-  const {
-    data: products = [],
-    isLoading,
-    error,
-    refetch
-  } = useQuery(
-    ["ownerProducts", contract?.address],
+  const { data: receivableProducts, isLoading: isLoadingReceivable, error: errorReceivable } = useQuery(
+    ["receivableProducts", contract?.target],
     async () => {
       if (!contract) throw new Error("Contract not initialized");
-      const productCount = await contract.getProductCount();
-      const allProducts = [];
-      for (let i = 1; i <= productCount; i++) {
-        const product = await contract.getProduct(i);
-        if (product.id.toString() !== "0") {
-          allProducts.push({
-            ...product,
-            id: product.id.toString(),
-            name: product.name || "N/A",
-            description: product.description || "N/A",
-            price: ethers.formatEther(product.price),
-          });
-        }
-      }
-      return allProducts;
+      const products = await contract.getProductsSentByManufacturer();
+      return products.map((product) => ({
+        ...product,
+        id: product.id.toString(),
+        name: product.name || "N/A",
+        description: product.description || "N/A",
+        price: ethers.formatEther(product.price),
+      }));
     },
     {
       enabled: !!contract && !isDemoMode,
-      refetchInterval: 5000,
+      refetchInterval: pollingInterval,
       retry: 3,
       onError: (error) => {
-        console.error("Error fetching products:", error);
-        customToast("Failed to fetch products. Please try again.", "error");
+        console.error("Error fetching receivable products:", error);
+        customToast("Failed to fetch receivable products. Please try again.", "error");
       },
     }
   );
 
-  const setAddressesMutation = useMutation(
+  const { data: receivedProducts, isLoading: isLoadingReceived, error: errorReceived } = useQuery(
+    ["receivedProducts", contract?.target],
     async () => {
       if (!contract) throw new Error("Contract not initialized");
-      const tx = await contract.setAddresses(manufacturer, distributor, retailer);
-      await tx.wait();
+      const products = await contract.getProductsReceivedByDistributor();
+      return products.map((product) => ({
+        ...product,
+        id: product.id.toString(),
+        name: product.name || "N/A",
+        description: product.description || "N/A",
+        price: ethers.formatEther(product.price),
+      }));
     },
     {
-      onSuccess: () => {
-        customToast("Supply chain roles updated successfully", "success");
-        queryClient.invalidateQueries(["ownerProducts"]);
+      enabled: !!contract && !isDemoMode,
+      refetchInterval: pollingInterval,
+      retry: 3,
+      onError: (error) => {
+        console.error("Error fetching received products:", error);
+        customToast("Failed to fetch received products. Please try again.", "error");
+      },
+    }
+  );
+
+  const receiveProductMutation = useMutation(
+    async (productId) => {
+      if (!contract) throw new Error("Contract not initialized");
+      await sendTransaction(contract, "receiveProductByDistributor", [productId], {
+        productId,
+      });
+    },
+    {
+      onSuccess: (_, productId) => {
+        customToast(`Product ${productId} received successfully!`, "success");
+        queryClient.invalidateQueries(["receivableProducts", "receivedProducts"]);
       },
       onError: (error) => {
-        console.error("Error setting addresses:", error);
-        customToast("Failed to update supply chain roles. Please try again.", "error");
+        console.error("Error receiving product:", error);
+        notifyContractError(error, "Failed to receive product");
       },
     }
   );
 
-  const updateProductMutation = useMutation(
-    async (updatedProduct) => {
+  const sendProductMutation = useMutation(
+    async (productId) => {
       if (!contract) throw new Error("Contract not initialized");
-      const tx = await contract.updateProductDetails(
-        updatedProduct.id,
-        updatedProduct.name,
-        updatedProduct.description,
-        ethers.parseEther(updatedProduct.price.toString())
-      );
-      await tx.wait();
+      await sendTransaction(contract, "sendProductByDistributor", [productId], {
+        productId,
+      });
     },
     {
-      onSuccess: () => {
-        customToast("Product updated successfully", "success");
-        queryClient.invalidateQueries(["ownerProducts"]);
+      onSuccess: (_, productId) => {
+        customToast(`Product ${productId} sent successfully!`, "success");
+        queryClient.invalidateQueries(["receivedProducts"]);
       },
       onError: (error) => {
-        console.error("Error updating product:", error);
-        customToast("Failed to update product. Please try again.", "error");
+        console.error("Error sending product:", error);
+        notifyContractError(error, "Failed to send product");
       },
     }
   );
 
-  const handleDateRangeFilter = async () => {
-    if (!dateRange.start || !dateRange.end) {
-      customToast("Please select both start and end dates", "error");
-      return;
+  const demoReceivableProducts = [
+    { id: "1", name: "Demo Receivable 1", description: "This is a demo receivable product", price: "15.00" },
+    { id: "2", name: "Demo Receivable 2", description: "Another demo receivable product", price: "25.00" },
+  ];
+
+  const demoReceivedProducts = [
+    { id: "3", name: "Demo Received 1", description: "This is a demo received product", price: "30.00" },
+    { id: "4", name: "Demo Received 2", description: "Another demo received product", price: "40.00" },
+  ];
+
+  const displayReceivableProducts = isDemoMode ? demoReceivableProducts : receivableProducts || [];
+  const displayReceivedProducts = isDemoMode ? demoReceivedProducts : receivedProducts || [];
+
+  const receivableSelection = useProductSelection(displayReceivableProducts);
+  const receivedSelection = useProductSelection(displayReceivedProducts);
+  const bulkReceive = useBulkProductAction(contract, "receiveProductByDistributor", [
+    "receivableProducts",
+    "receivedProducts",
+  ]);
+  const bulkSend = useBulkProductAction(contract, "sendProductByDistributor", [
+    "receivedProducts",
+  ]);
+  const exportProducts = useSelectionExport(contract);
+
+  return (
+    <Card>
+      <h2 className="text-2xl font-bold mb-6 text-[#E4B1F0]">Distributor Dashboard</h2>
+
+      <div className="mb-8">
+        <div className="flex items-center mb-4">
+          <Truck size={24} className="text-[#7E60BF] mr-2" />
+          <h3 className="text-xl font-semibold text-[#E4B1F0] flex-grow">Receivable Products</h3>
+          <ExportButtons
+            name="receivable-products"
+            disabled={isDemoMode || !contract}
+            className="text-[#7E60BF]"
+            getRows={() => exportProducts(receivableSelection, displayReceivableProducts)}
+          />
+        </div>
+        {isLoadingReceivable && !isDemoMode ? (
+          <p className="text-center text-gray-400">Loading receivable products...</p>
+        ) : errorReceivable ? (
+          <p className="text-center text-red-500">Error: {errorReceivable.message}</p>
+        ) : (
+          <>
+            <BulkActionBar
+              products={displayReceivableProducts}
+              selection={receivableSelection}
+              action={bulkReceive}
+              label="Receive Selected"
+              isDemoMode={isDemoMode}
+              isReadOnly={isReadOnly}
+            />
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {displayReceivableProducts.map((product) => (
+                <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
+                    <SelectCheckbox
+                      checked={receivableSelection.isSelected(product.id)}
+                      onChange={() => receivableSelection.toggle(product.id)}
+                      label="Select"
+                      disabled={isDemoMode}
+                    />
+                  </div>
+                  <p>Name: {product.name}</p>
+                  <p>Description: {product.description}</p>
+                  <p>Price: {product.price} INR</p>
+                  <ProductQrCode contract={contract} chainId={chainId} productId={product.id} />
+                  <WriteButton
+                    onClick={() => receiveProductMutation.mutate(product.id)}
+                    className="mt-2"
+                    disabled={receiveProductMutation.isLoading || isDemoMode}
+                    isReadOnly={isReadOnly}
+                  >
+                    {receiveProductMutation.isLoading ? "Receiving..." : "Receive Product"}
+                  </WriteButton>
+                  {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div>
+        <div className="flex items-center mb-4">
+          <Package size={24} className="text-[#7E60BF] mr-2" />
+          <h3 className="text-xl font-semibold text-[#E4B1F0] flex-grow">Received Products</h3>
+          <ExportButtons
+            name="received-products"
+            disabled={isDemoMode || !contract}
+            className="text-[#7E60BF]"
+            getRows={() => exportProducts(receivedSelection, displayReceivedProducts)}
+          />
+        </div>
+        {isLoadingReceived && !isDemoMode ? (
+          <p className="text-center text-gray-400">Loading received products...</p>
+        ) : errorReceived ? (
+          <p className="text-center text-red-500">Error: {errorReceived.message}</p>
+        ) : (
+          <>
+            <BulkActionBar
+              products={displayReceivedProducts}
+              selection={receivedSelection}
+              action={bulkSend}
+              label="Send Selected to Retailer"
+              isDemoMode={isDemoMode}
+              isReadOnly={isReadOnly}
+            />
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {displayReceivedProducts.map((product) => (
+                <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
+                    <SelectCheckbox
+                      checked={receivedSelection.isSelected(product.id)}
+                      onChange={() => receivedSelection.toggle(product.id)}
+                      label="Select"
+                      disabled={isDemoMode}
+                    />
+                  </div>
+                  <p>Name: {product.name}</p>
+                  <p>Description: {product.description}</p>
+                  <p>Price: {product.price} INR</p>
+                  <ProductQrCode contract={contract} chainId={chainId} productId={product.id} />
+                  <WriteButton
+                    onClick={() => sendProductMutation.mutate(product.id)}
+                    className="mt-2"
+                    disabled={sendProductMutation.isLoading || isDemoMode}
+                    isReadOnly={isReadOnly}
+                  >
+                    {sendProductMutation.isLoading ? "Sending..." : "Send to Retailer"}
+                  </WriteButton>
+                  {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      <ReturnsPanel
+        contract={contract}
+        account={account}
+        isDemoMode={isDemoMode}
+        isReadOnly={isReadOnly}
+      />
+    </Card>
+  );
+};
+
+const Retailer = ({ contract, chainId, account, isDemoMode, isReadOnly }) => {
+  const queryClient = useQueryClient();
+  const sendTransaction = useSendTransaction();
+  const pollingInterval = usePollingInterval(5000);
+
+  const {
+    data: products,
+    isLoading,
+    error,
+    refetch,
+  } = useQuery(
+    ["retailerProducts", contract?.target],
+    async () => {
+      if (!contract) throw new Error("Contract not initialized");
+      const productsData = await contract.getProductsSentByDistributor();
+      return productsData.map((product) => ({
+        ...product,
+        id: product.id?.toString() || "Unknown",
+        name: product.name || "Unnamed Product",
+        description: product.description || "No description",
+        price: ethers.formatEther(product.price),
+      }));
+    },
+    {
+      enabled: !!contract && !isDemoMode,
+      refetchInterval: pollingInterval,
+      retry: 3,
+      onError: (error) => {
+        console.error("Error fetching retailer products:", error);
+        customToast("Failed to fetch products. Please try again.", "error");
+      },
     }
+  );
 
-    try {
-      const startTimestamp = Math.floor(new Date(dateRange.start).getTime() / 1000);
-      const endTimestamp = Math.floor(new Date(dateRange.end).getTime() / 1000);
-      await refetch({ startTimestamp, endTimestamp });
-    } catch (error) {
-      console.error("Failed to filter products:", error);
-      customToast("Unable to filter products. Please try again.", "error");
+  const receiveProductMutation = useMutation(
+    async (productId) => {
+      if (!contract) throw new Error("Contract not initialized");
+      await sendTransaction(contract, "receiveProductByRetailer", [productId], {
+        productId,
+      });
+    },
+    {
+      onSuccess: (_, productId) => {
+        customToast(`Product ${productId} received successfully!`, "success");
+        queryClient.invalidateQueries(["retailerProducts"]);
+      },
+      onError: (error) => {
+        console.error("Error receiving product:", error);
+        notifyContractError(error, "Failed to receive product");
+      },
     }
-  };
+  );
 
   const demoProducts = [
-    { id: "1", name: "Demo Product 1", description: "This is a demo product", price: "10" },
-    { id: "2", name: "Demo Product 2", description: "Another demo product", price: "20" },
+    { id: "1", name: "Demo Product 1", description: "This is a demo product", price: "50.00" },
+    { id: "2", name: "Demo Product 2", description: "Another demo product", price: "60.00" },
   ];
 
-  const displayProducts = isDemoMode ? demoProducts : products;
+  const displayProducts = isDemoMode ? demoProducts : products || [];
+  const selection = useProductSelection(displayProducts);
+  const bulkReceive = useBulkProductAction(contract, "receiveProductByRetailer", [
+    "retailerProducts",
+  ]);
+  const exportProducts = useSelectionExport(contract);
 
   return (
-    <div className="space-y-8">
-      <h2 className="text-3xl font-bold mb-8 text-[#E4B1F0]">Owner Dashboard</h2>
+    <Card>
+      <h2 className="text-2xl font-bold mb-6 text-[#E4B1F0]">Retailer Dashboard</h2>
 
-      <Card>
-        <div className="flex items-center mb-6">
-          <User size={28} className="text-[#7E60BF] mr-3" />
-          <h3 className="text-2xl font-semibold text-[#E4B1F0]">Set Supply Chain Addresses</h3>
+      {isLoading && !isDemoMode && (
+        <div className="text-center py-4">
+          <p className="text-gray-400">Loading products...</p>
         </div>
-        <div className="space-y-4">
-          <Input
-            placeholder="Manufacturer Address"
-            value={manufacturer}
-            onChange={(e) => setManufacturer(e.target.value)}
-          />
-          <Input
-            placeholder="Distributor Address"
-            value={distributor}
-            onChange={(e) => setDistributor(e.target.value)}
-          />
-          <Input
-            placeholder="Retailer Address"
-            value={retailer}
-            onChange={(e) => setRetailer(e.target.value)}
-          />
-          <Button 
-            onClick={() => setAddressesMutation.mutate()} 
-            disabled={setAddressesMutation.isLoading || isDemoMode}
+      )}
+
+      {error && !isDemoMode && (
+        <div className="bg-red-900 text-red-200 p-4 rounded-lg mb-6">
+          <p>Error: {error.message}</p>
+          <button
+            onClick={() => refetch()}
+            className="mt-2 text-sm text-red-300 hover:text-red-100"
           >
-            {setAddressesMutation.isLoading ? "Processing..." : "Set Addresses"}
-          </Button>
+            Try again
+          </button>
         </div>
-      </Card>
+      )}
 
-      <Card>
-        <div className="flex items-center mb-6">
-          <Calendar size={28} className="text-[#7E60BF] mr-3" />
-          <h3 className="text-2xl font-semibold text-[#E4B1F0]">Filter Products by Date</h3>
-        </div>
-        <div className="flex flex-col sm:flex-row gap-4">
-          <Input
-            type="date"
-            value={dateRange.start}
-            onChange={(e) => setDateRange({ ...dateRange, start: e.target.value })}
-          />
-          <Input
-            type="date"
-            value={dateRange.end}
-            onChange={(e) => setDateRange({ ...dateRange, end: e.target.value })}
+      <div className="flex items-center mb-4">
+        <Package size={24} className="text-[#7E60BF] mr-2" />
+        <h3 className="text-xl font-semibold text-[#E4B1F0] flex-grow">Receivable Products</h3>
+        <ExportButtons
+          name="retailer-products"
+          disabled={isDemoMode || !contract}
+          className="text-[#7E60BF]"
+          getRows={() => exportProducts(selection, displayProducts)}
+        />
+      </div>
+      
+      {displayProducts.length === 0 ? (
+        <p className="text-gray-400 text-center py-4">No products available to receive.</p>
+      ) : (
+        <>
+          <BulkActionBar
+            products={displayProducts}
+            selection={selection}
+            action={bulkReceive}
+            label="Receive Selected"
+            isDemoMode={isDemoMode}
+            isReadOnly={isReadOnly}
           />
-          <Button onClick={handleDateRangeFilter} disabled={isLoading || isDemoMode}>
-            {isLoading ? "Filtering..." : "Filter Products"}
-          </Button>
-        </div>
-      </Card>
-
-      <Card>
-        <div className="flex items-center mb-6">
-          <Package size={28} className="text-[#7E60BF] mr-3" />
-          <h3 className="text-2xl font-semibold text-[#E4B1F0]">Manage Products</h3>
-        </div>
-        {isLoading && !isDemoMode ? (
-          <p className="text-center text-gray-400">Loading products...</p>
-        ) : error ? (
-          <p className="text-center text-red-500">Error: {error.message}</p>
-        ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             {displayProducts.map((product) => (
-              <div key={product.id} className="bg-gray-700 rounded-lg p-4 shadow">
-                <h4 className="font-semibold text-[#E4B1F0]">Product {product.id}</h4>
+              <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
+                  <SelectCheckbox
+                    checked={selection.isSelected(product.id)}
+                    onChange={() => selection.toggle(product.id)}
+                    label="Select"
+                    disabled={isDemoMode}
+                  />
+                </div>
                 <p>Name: {product.name}</p>
                 <p>Description: {product.description}</p>
                 <p>Price: {product.price} INR</p>
-                <Button
-                  onClick={() => updateProductMutation.mutate(product)}
-                  className="mt-4"
-                  disabled={updateProductMutation.isLoading || isDemoMode}
+                <ProductQrCode contract={contract} chainId={chainId} productId={product.id} />
+                <WriteButton
+                  onClick={() => receiveProductMutation.mutate(product.id)}
+                  className="mt-2"
+                  disabled={receiveProductMutation.isLoading || isDemoMode}
+                  isReadOnly={isReadOnly}
                 >
-                  {updateProductMutation.isLoading ? "Updating..." : "Update Product"}
-                </Button>
+                  {receiveProductMutation.isLoading ? "Receiving..." : "Receive Product"}
+                </WriteButton>
                 {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
               </div>
             ))}
           </div>
-        )}
-      </Card>
-    </div>
+        </>
+      )}
+
+      <ReturnsPanel
+        contract={contract}
+        account={account}
+        isDemoMode={isDemoMode}
+        isReadOnly={isReadOnly}
+      />
+    </Card>
   );
 };
 
-const Manufacturer = ({ contract, isDemoMode }) => {
+const RETURN_STATUS_STYLES = {
+  pending: "bg-yellow-900 text-yellow-300",
+  approved: "bg-green-900 text-green-300",
+  rejected: "bg-red-900 text-red-300",
+};
+
+const ReturnRequestRow = ({ returnRequest, account, children }) => (
+  <div className="bg-gray-700 p-4 rounded-lg">
+    <div className="flex items-center justify-between">
+      <p className="font-semibold text-[#E4B1F0]">
+        Return #{returnRequest.id} - Product {returnRequest.productId}
+      </p>
+      <span
+        className={`text-xs px-2 py-1 rounded-full capitalize ${
+          RETURN_STATUS_STYLES[returnRequest.status]
+        }`}
+      >
+        {returnRequest.status}
+      </span>
+    </div>
+    <p className="mt-2">Reason: {returnRequest.reason || "None given"}</p>
+    <p className="text-sm text-gray-400 mt-1">
+      Requested by{" "}
+      {account && returnRequest.requester.toLowerCase() === account.toLowerCase()
+        ? "you"
+        : `${returnRequest.requester.slice(0, 6)}...${returnRequest.requester.slice(-4)}`}{" "}
+      on {new Date(returnRequest.requestedAt * 1000).toLocaleString()}
+    </p>
+    {returnRequest.processedAt && (
+      <p className="text-sm text-gray-400">
+        Processed on {new Date(returnRequest.processedAt * 1000).toLocaleString()}
+      </p>
+    )}
+    {children}
+  </div>
+);
+
+// Return requests with a form to raise new ones, for the Distributor and
+// Retailer dashboards
+const ReturnsPanel = ({ contract, account, isDemoMode, isReadOnly }) => {
   const queryClient = useQueryClient();
-  const [newProduct, setNewProduct] = useState({
-    name: "",
-    description: "",
-    price: "",
-  });
+  const sendTransaction = useSendTransaction();
+  const [productId, setProductId] = useState("");
+  const [reason, setReason] = useState("");
+  const { data: returns = [], isLoading, error } = useReturnRequests(contract, isDemoMode);
+  const adapter = getReturnWriteAdapter(contract);
 
-  const {
-    data: products = [],
-    isLoading,
-    error,
-  } = useQuery(
-    ["manufacturerProducts", contract?.address],
+  const requestReturnMutation = useMutation(
     async () => {
       if (!contract) throw new Error("Contract not initialized");
-      const productsData = await contract.getProductsCreated();
-      return productsData.map((product) => ({
-        ...product,
-        id: product.id.toString(),
-        name: product.name || "N/A",
-        description: product.description || "N/A",
-        price: ethers.formatEther(product.price),
-      }));
-    },
-    {
-      enabled: !!contract && !isDemoMode,
-      refetchInterval: 5000,
-      retry: 3,
-      onError: (error) => {
-        console.error("Error fetching manufacturer products:", error);
-        customToast("Failed to fetch products. Please try again.", "error");
-      },
-    }
-  );
-
-  const createProductMutation = useMutation(
-    async (newProduct) => {
-      if (!contract) throw new Error("Contract not initialized");
-      const tx = await contract.createProduct(
-        newProduct.name,
-        newProduct.description,
-        ethers.parseEther(newProduct.price)
-      );
-      await tx.wait();
+      await adapter.request(sendTransaction, productId, reason.trim());
     },
     {
       onSuccess: () => {
-        customToast("Product created successfully!", "success");
-        setNewProduct({ name: "", description: "", price: "" });
-        queryClient.invalidateQueries(["manufacturerProducts"]);
-      },
-      onError: (error) => {
-        console.error("Error creating product:", error);
-        let errorMessage = "Error creating product. Please try again.";
-        if (error.message.includes("caller is not the manufacturer")) {
-          errorMessage = "You don't have permission to create products.";
-        }
-        customToast(errorMessage, "error");
-      },
-    }
-  );
-
-  const sendProductMutation = useMutation(
-    async (productId) => {
-      if (!contract) throw new Error("Contract not initialized");
-      const tx = await contract.sendProductByManufacturer(productId);
-      await tx.wait();
-    },
-    {
-      onSuccess: (_, productId) => {
-        customToast(`Product ${productId} sent successfully!`, "success");
-        queryClient.invalidateQueries(["manufacturerProducts"]);
+        customToast(`Return requested for product ${productId}`, "success");
+        setProductId("");
+        setReason("");
+        queryClient.invalidateQueries(["returns"]);
       },
       onError: (error) => {
-        console.error("Error sending product:", error);
-        let errorMessage = "Error sending product. Please try again.";
-        if (error.message.includes("caller is not the manufacturer")) {
-          errorMessage = "You don't have permission to send products.";
-        }
-        customToast(errorMessage, "error");
+        console.error("Error requesting return:", error);
+        notifyContractError(error, "Failed to request return");
       },
     }
   );
 
-  const handleCreateProduct = (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    if (!newProduct.name.trim()) {
-      customToast("Product name is required", "error");
-      return;
-    }
-    if (!newProduct.description.trim()) {
-      customToast("Product description is required", "error");
+    if (!/^\d+$/.test(productId)) {
+      customToast("Please enter a valid product ID", "error");
       return;
     }
-    if (isNaN(newProduct.price) || parseFloat(newProduct.price) <= 0) {
-      customToast("Please enter a valid price greater than 0", "error");
+    if (!reason.trim()) {
+      customToast("Please give a reason for the return", "error");
       return;
     }
-    createProductMutation.mutate(newProduct);
-  };
-
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setNewProduct((prev) => ({ ...prev, [name]: value }));
+    requestReturnMutation.mutate();
   };
 
-  const demoProducts = [
-    { id: "1", name: "Demo Product 1", description: "This is a demo product", price: "10.00" },
-    { id: "2", name: "Demo Product 2", description: "Another demo product", price: "20.00" },
-  ];
-
-  const displayProducts = isDemoMode ? demoProducts : products;
-
   return (
-    <Card>
-      <h2 className="text-2xl font-bold mb-6 text-[#E4B1F0]">Manufacturer Dashboard</h2>
+    <div className="mt-8">
+      <div className="flex items-center mb-4">
+        <AlertCircle size={24} className="text-[#7E60BF] mr-2" />
+        <h3 className="text-xl font-semibold text-[#E4B1F0]">Returns</h3>
+      </div>
 
-      <form onSubmit={handleCreateProduct} className="mb-8">
-        <div className="flex items-center mb-4">
-          <Package size={24} className="text-[#7E60BF] mr-2" />
-          <h3 className="text-xl font-semibold text-[#E4B1F0]">Create New Product</h3>
-        </div>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <Input
-            type="text"
-            name="name"
-            value={newProduct.name}
-            onChange={handleInputChange}
-            placeholder="Product Name"
-            required
-          />
-          <Input
-            type="number"
-            name="price"
-            value={newProduct.price}
-            onChange={handleInputChange}
-            placeholder="Price in INR"
-            step="0.01"
-            min="0"
-            required
-          />
-        </div>
-        <textarea
-          name="description"
-          value={newProduct.description}
-          onChange={handleInputChange}
-          placeholder="Product Description"
-          className="w-full px-4 py-2 mt-4 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#7E60BF] text-gray-200 placeholder-gray-400"
-          required
-        />
-        <Button
-          type="submit"
-          className="mt-4"
-          disabled={createProductMutation.isLoading || isDemoMode}
-        >
-          {createProductMutation.isLoading ? "Creating..." : "Create Product"}
-        </Button>
-      </form>
+      {adapter.canRequest ? (
+        <form onSubmit={handleSubmit} className="mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Input
+              type="text"
+              value={productId}
+              onChange={(e) => setProductId(e.target.value)}
+              placeholder="Product ID"
+              required
+            />
+            <Input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason for return"
+              className="md:col-span-2"
+              required
+            />
+          </div>
+          <WriteButton
+            type="submit"
+            className="mt-4"
+            disabled={requestReturnMutation.isLoading || isDemoMode}
+            isReadOnly={isReadOnly}
+          >
+            {requestReturnMutation.isLoading ? "Requesting..." : "Request Return"}
+          </WriteButton>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-400 mb-4">
+          This contract version does not accept return requests on-chain. Returns
+          recorded by a newer version are listed below.
+        </p>
+      )}
 
-      <h3 className="text-xl font-semibold mb-4 text-[#E4B1F0]">Created Products</h3>
-      {isLoading && !isDemoMode ? (
-        <p className="text-center text-gray-400">Loading products...</p>
+      {isLoading ? (
+        <p className="text-center text-gray-400">Loading return requests...</p>
       ) : error ? (
         <p className="text-center text-red-500">Error: {error.message}</p>
+      ) : returns.length === 0 ? (
+        <p className="text-gray-400 text-center py-4">No return requests.</p>
       ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          {displayProducts.map((product) => (
-            <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
-              <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
-              <p>Name: {product.name}</p>
-              <p>Description: {product.description}</p>
-              <p>Price: {product.price} INR</p>
-              <Button
-                onClick={() => sendProductMutation.mutate(product.id)}
-                className="mt-2"
-                disabled={sendProductMutation.isLoading || isDemoMode}
-              >
-                {sendProductMutation.isLoading ? "Sending..." : "Send to Distributor"}
-              </Button>
-              {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
-            </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {returns.map((returnRequest) => (
+            <ReturnRequestRow
+              key={returnRequest.id}
+              returnRequest={returnRequest}
+              account={account}
+            />
           ))}
         </div>
       )}
-    </Card>
+    </div>
   );
 };
 
-const Distributor = ({ contract, isDemoMode }) => {
+const ReturnApprovalQueue = ({ contract, account, isDemoMode, isReadOnly }) => {
   const queryClient = useQueryClient();
+  const sendTransaction = useSendTransaction();
+  const { data: returns = [], isLoading, error } = useReturnRequests(contract, isDemoMode);
+  const adapter = getReturnWriteAdapter(contract);
 
-  const { data: receivableProducts, isLoading: isLoadingReceivable, error: errorReceivable } = useQuery(
-    ["receivableProducts", contract?.address],
-    async () => {
+  const processReturnMutation = useMutation(
+    async ({ returnRequest, approved }) => {
       if (!contract) throw new Error("Contract not initialized");
-      const products = await contract.getProductsSentByManufacturer();
-      return products.map((product) => ({
-        ...product,
-        id: product.id.toString(),
-        name: product.name || "N/A",
-        description: product.description || "N/A",
-        price: ethers.formatEther(product.price),
-      }));
+      await adapter.process(sendTransaction, returnRequest, approved);
     },
     {
-      enabled: !!contract && !isDemoMode,
-      refetchInterval: 5000,
-      retry: 3,
+      onSuccess: (_, { returnRequest, approved }) => {
+        customToast(
+          `Return #${returnRequest.id} ${approved ? "approved" : "rejected"}`,
+          "success"
+        );
+        queryClient.invalidateQueries(["returns"]);
+      },
       onError: (error) => {
-        console.error("Error fetching receivable products:", error);
-        customToast("Failed to fetch receivable products. Please try again.", "error");
+        console.error("Error processing return:", error);
+        notifyContractError(error, "Failed to process return");
       },
     }
   );
 
-  const { data: receivedProducts, isLoading: isLoadingReceived, error: errorReceived } = useQuery(
-    ["receivedProducts", contract?.address],
-    async () => {
-      if (!contract) throw new Error("Contract not initialized");
-      const products = await contract.getProductsReceivedByDistributor();
-      return products.map((product) => ({
-        ...product,
-        id: product.id.toString(),
-        name: product.name || "N/A",
-        description: product.description || "N/A",
-        price: ethers.formatEther(product.price),
-      }));
-    },
-    {
-      enabled: !!contract && !isDemoMode,
-      refetchInterval: 5000,
-      retry: 3,
-      onError: (error) => {
-        console.error("Error fetching received products:", error);
-        customToast("Failed to fetch received products. Please try again.", "error");
+  const pending = returns.filter((returnRequest) => returnRequest.status === "pending");
+  const processed = returns.filter((returnRequest) => returnRequest.status !== "pending");
+
+  return (
+    <Card>
+      <div className="flex items-center mb-6">
+        <AlertCircle size={28} className="text-[#7E60BF] mr-3" />
+        <h3 className="text-2xl font-semibold text-[#E4B1F0]">
+          Return Requests ({pending.length} pending)
+        </h3>
+      </div>
+      {!adapter.canProcess && (
+        <p className="text-sm text-gray-400 mb-4">
+          This contract version cannot approve or reject returns on-chain.
+        </p>
+      )}
+      {isLoading ? (
+        <p className="text-center text-gray-400">Loading return requests...</p>
+      ) : error ? (
+        <p className="text-center text-red-500">Error: {error.message}</p>
+      ) : pending.length === 0 ? (
+        <p className="text-gray-400 text-center py-4">No returns awaiting approval.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {pending.map((returnRequest) => (
+            <ReturnRequestRow
+              key={returnRequest.id}
+              returnRequest={returnRequest}
+              account={account}
+            >
+              {adapter.canProcess && (
+                <div className="flex gap-2 mt-4">
+                  <WriteButton
+                    onClick={() => processReturnMutation.mutate({ returnRequest, approved: true })}
+                    disabled={processReturnMutation.isLoading || isDemoMode}
+                    isReadOnly={isReadOnly}
+                    className="py-2"
+                  >
+                    Approve
+                  </WriteButton>
+                  <WriteButton
+                    onClick={() => processReturnMutation.mutate({ returnRequest, approved: false })}
+                    disabled={processReturnMutation.isLoading || isDemoMode}
+                    isReadOnly={isReadOnly}
+                    className="py-2"
+                  >
+                    Reject
+                  </WriteButton>
+                </div>
+              )}
+            </ReturnRequestRow>
+          ))}
+        </div>
+      )}
+      {processed.length > 0 && (
+        <details className="mt-6">
+          <summary className="cursor-pointer text-[#7E60BF] hover:text-[#E4B1F0]">
+            Processed returns ({processed.length})
+          </summary>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            {processed.map((returnRequest) => (
+              <ReturnRequestRow
+                key={returnRequest.id}
+                returnRequest={returnRequest}
+                account={account}
+              />
+            ))}
+          </div>
+        </details>
+      )}
+    </Card>
+  );
+};
+
+// A product's return requests and their outcomes, oldest first
+const ProductReturns = ({ contract, chainId, productId, isDemoMode }) => {
+  const { data: returns = [] } = useReturnRequests(contract, isDemoMode);
+  const events = returns
+    .filter((returnRequest) => returnRequest.productId === productId)
+    .flatMap((returnRequest) => [
+      {
+        key: `${returnRequest.id}-requested`,
+        label: `Return #${returnRequest.id} requested: ${returnRequest.reason || "no reason given"}`,
+        timestamp: returnRequest.requestedAt,
+        transactionHash: returnRequest.transactionHash,
+        className: "text-yellow-300",
       },
-    }
+      ...(returnRequest.processedAt
+        ? [
+            {
+              key: `${returnRequest.id}-processed`,
+              label: `Return #${returnRequest.id} ${returnRequest.status}`,
+              timestamp: returnRequest.processedAt,
+              transactionHash: returnRequest.processedTransactionHash,
+              className:
+                returnRequest.status === "approved" ? "text-green-300" : "text-red-300",
+            },
+          ]
+        : []),
+    ])
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (events.length === 0) return null;
+
+  return (
+    <Card className="mb-8">
+      <div className="flex items-center mb-6">
+        <AlertCircle size={24} className="text-[#7E60BF] mr-3" />
+        <h3 className="text-2xl font-semibold text-[#E4B1F0]">Returns</h3>
+      </div>
+      <ol className="border-l-2 border-[#433878] space-y-4 ml-2">
+        {events.map((event) => (
+          <li key={event.key} className="pl-4">
+            <p className={`text-sm font-medium ${event.className}`}>{event.label}</p>
+            <p className="text-xs text-gray-400">
+              {new Date(event.timestamp * 1000).toLocaleString()}
+              {getExplorerTxUrl(chainId, event.transactionHash) && (
+                <>
+                  {" - "}
+                  <a
+                    href={getExplorerTxUrl(chainId, event.transactionHash)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-[#7E60BF] hover:text-[#E4B1F0]"
+                  >
+                    View on {getNetwork(chainId).blockExplorerName}
+                  </a>
+                </>
+              )}
+            </p>
+          </li>
+        ))}
+      </ol>
+    </Card>
   );
+};
 
-  const receiveProductMutation = useMutation(
-    async (productId) => {
-      if (!contract) throw new Error("Contract not initialized");
-      const tx = await contract.receiveProductByDistributor(productId);
-      await tx.wait();
-    },
-    {
-      onSuccess: (_, productId) => {
-        customToast(`Product ${productId} received successfully!`, "success");
-        queryClient.invalidateQueries(["receivableProducts", "receivedProducts"]);
-      },
-      onError: (error) => {
-        console.error("Error receiving product:", error);
-        let errorMessage = "Error receiving product. Please try again.";
-        if (error.message.includes("caller is not the distributor")) {
-          errorMessage = "You don't have permission to receive products.";
-        }
-        customToast(errorMessage, "error");
-      },
-    }
+const EMPTY_ADDRESS_ENTRY = { address: "", name: "", organisation: "", notes: "" };
+
+const AddressBook = () => {
+  const { entries, saveEntries, removeEntry } = useAddressBook();
+  const [draft, setDraft] = useState(EMPTY_ADDRESS_ENTRY);
+  // Address of the entry being edited, if any
+  const [editing, setEditing] = useState(null);
+  const [search, setSearch] = useState("");
+  const fileInputRef = useRef(null);
+
+  const query = search.trim().toLowerCase();
+  const visibleEntries = entries.filter(
+    (entry) =>
+      !query ||
+      Object.values(entry).some((field) => field.toLowerCase().includes(query))
   );
 
-  const sendProductMutation = useMutation(
-    async (productId) => {
-      if (!contract) throw new Error("Contract not initialized");
-      const tx = await contract.sendProductByDistributor(productId);
-      await tx.wait();
-    },
-    {
-      onSuccess: (_, productId) => {
-        customToast(`Product ${productId} sent successfully!`, "success");
-        queryClient.invalidateQueries(["receivedProducts"]);
-      },
-      onError: (error) => {
-        console.error("Error sending product:", error);
-        let errorMessage = "Error sending product. Please try again.";
-        if (error.message.includes("caller is not the distributor")) {
-          errorMessage = "You don't have permission to send products.";
-        }
-        customToast(errorMessage, "error");
-      },
+  const resetForm = () => {
+    setDraft(EMPTY_ADDRESS_ENTRY);
+    setEditing(null);
+  };
+
+  const handleSave = () => {
+    let entry;
+    try {
+      entry = normalizeAddressBookEntry(draft);
+    } catch (error) {
+      customToast(`Can't save this entry: ${error.message}`, "error");
+      return;
     }
-  );
+    if (editing && editing !== entry.address) removeEntry(editing);
+    saveEntries([entry]);
+    customToast(`Saved ${entry.name}`, "success");
+    resetForm();
+  };
 
-  const demoReceivableProducts = [
-    { id: "1", name: "Demo Receivable 1", description: "This is a demo receivable product", price: "15.00" },
-    { id: "2", name: "Demo Receivable 2", description: "Another demo receivable product", price: "25.00" },
-  ];
+  const handleEdit = (entry) => {
+    setDraft(entry);
+    setEditing(entry.address);
+  };
 
-  const demoReceivedProducts = [
-    { id: "3", name: "Demo Received 1", description: "This is a demo received product", price: "30.00" },
-    { id: "4", name: "Demo Received 2", description: "Another demo received product", price: "40.00" },
-  ];
+  const handleRemove = (entry) => {
+    removeEntry(entry.address);
+    if (editing === entry.address) resetForm();
+    customToast(`Removed ${entry.name}`, "info");
+  };
 
-  const displayReceivableProducts = isDemoMode ? demoReceivableProducts : receivableProducts || [];
-  const displayReceivedProducts = isDemoMode ? demoReceivedProducts : receivedProducts || [];
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    // Let the same file be picked again
+    event.target.value = "";
+    if (!file) return;
 
-  return (
-    <Card>
-      <h2 className="text-2xl font-bold mb-6 text-[#E4B1F0]">Distributor Dashboard</h2>
+    try {
+      const data = JSON.parse(await file.text());
+      const imported = parseAddressBookEntries(Array.isArray(data) ? data : data.entries);
+      saveEntries(imported);
+      customToast(
+        `Imported ${imported.length} address${imported.length === 1 ? "" : "es"}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error importing address book:", error);
+      customToast(`Import failed: ${error.message}`, "error");
+    }
+  };
 
-      <div className="mb-8">
-        <div className="flex items-center mb-4">
-          <Truck size={24} className="text-[#7E60BF] mr-2" />
-          <h3 className="text-xl font-semibold text-[#E4B1F0]">Receivable Products</h3>
+  return (
+    <div className="space-y-8">
+      <Card>
+        <div className="flex items-center mb-6">
+          <BookUser size={28} className="text-[#7E60BF] mr-3" />
+          <h2 className="text-2xl font-bold text-[#E4B1F0]">
+            {editing ? "Edit Address" : "Add Address"}
+          </h2>
         </div>
-        {isLoadingReceivable && !isDemoMode ? (
-          <p className="text-center text-gray-400">Loading receivable products...</p>
-        ) : errorReceivable ? (
-          <p className="text-center text-red-500">Error: {errorReceivable.message}</p>
-        ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {displayReceivableProducts.map((product) => (
-              <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
-                <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
-                <p>Name: {product.name}</p>
-                <p>Description: {product.description}</p>
-                <p>Price: {product.price} INR</p>
-                <Button
-                  onClick={() => receiveProductMutation.mutate(product.id)}
-                  className="mt-2"
-                  disabled={receiveProductMutation.isLoading || isDemoMode}
-                >
-                  {receiveProductMutation.isLoading ? "Receiving..." : "Receive Product"}
-                </Button>
-                {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
-              </div>
-            ))}
+        <div className="space-y-4">
+          <Input
+            placeholder="Address (0x...)"
+            value={draft.address}
+            onChange={(e) => setDraft({ ...draft, address: e.target.value.trim() })}
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Input
+              placeholder="Name"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            />
+            <Input
+              placeholder="Organisation"
+              value={draft.organisation}
+              onChange={(e) => setDraft({ ...draft, organisation: e.target.value })}
+            />
           </div>
-        )}
-      </div>
+          <textarea
+            placeholder="Notes"
+            value={draft.notes}
+            onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+            rows={3}
+            className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#7E60BF] text-gray-200 placeholder-gray-400"
+          />
+          <div className="flex flex-wrap gap-4">
+            <Button onClick={handleSave}>{editing ? "Save Changes" : "Add Address"}</Button>
+            {editing && <Button onClick={resetForm}>Cancel</Button>}
+          </div>
+        </div>
+      </Card>
 
-      <div>
-        <div className="flex items-center mb-4">
-          <Package size={24} className="text-[#7E60BF] mr-2" />
-          <h3 className="text-xl font-semibold text-[#E4B1F0]">Received Products</h3>
+      <Card>
+        <div className="flex flex-wrap items-center gap-4 mb-6">
+          <h3 className="text-2xl font-semibold text-[#E4B1F0] flex-grow">
+            Address Book ({entries.length})
+          </h3>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            className="hidden"
+          />
+          <Button onClick={() => fileInputRef.current.click()}>
+            <Upload size={18} className="mr-2" />
+            Import JSON
+          </Button>
+          <Button
+            onClick={() => exportRows("address-book", entries, "json")}
+            disabled={entries.length === 0}
+          >
+            <Download size={18} className="mr-2" />
+            Export JSON
+          </Button>
         </div>
-        {isLoadingReceived && !isDemoMode ? (
-          <p className="text-center text-gray-400">Loading received products...</p>
-        ) : errorReceived ? (
-          <p className="text-center text-red-500">Error: {errorReceived.message}</p>
+        <Input
+          type="search"
+          placeholder="Search by name, organisation, address or notes"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="mb-6"
+        />
+        {visibleEntries.length === 0 ? (
+          <p className="text-gray-400 text-center py-4">
+            {entries.length === 0
+              ? "No addresses saved yet. Add your partners' wallets above or import a JSON export."
+              : "No addresses match your search."}
+          </p>
         ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {displayReceivedProducts.map((product) => (
-              <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
-                <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
-                <p>Name: {product.name}</p>
-                <p>Description: {product.description}</p>
-                <p>Price: {product.price} INR</p>
-                <Button
-                  onClick={() => sendProductMutation.mutate(product.id)}
-                  className="mt-2"
-                  disabled={sendProductMutation.isLoading || isDemoMode}
+          <div className="divide-y divide-[#433878]">
+            {visibleEntries.map((entry) => (
+              <div key={entry.address} className="py-4 flex items-start gap-4">
+                <div className="flex-grow min-w-0">
+                  <p className="font-semibold text-[#E4B1F0]">
+                    {entry.name}
+                    {entry.organisation && (
+                      <span className="font-normal text-gray-400"> · {entry.organisation}</span>
+                    )}
+                  </p>
+                  <p className="text-sm font-mono text-gray-300 break-all">{entry.address}</p>
+                  {entry.notes && <p className="text-sm text-gray-400 mt-1">{entry.notes}</p>}
+                </div>
+                <button
+                  onClick={() => handleEdit(entry)}
+                  className="flex items-center text-sm text-[#7E60BF] hover:text-[#E4B1F0]"
                 >
-                  {sendProductMutation.isLoading ? "Sending..." : "Send to Retailer"}
-                </Button>
-                {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
+                  <Edit size={16} className="mr-1" />
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleRemove(entry)}
+                  className="flex items-center text-sm text-red-400 hover:text-red-300"
+                >
+                  <X size={16} className="mr-1" />
+                  Remove
+                </button>
               </div>
             ))}
           </div>
         )}
-      </div>
-    </Card>
+      </Card>
+    </div>
   );
 };
 
-const Retailer = ({ contract, isDemoMode }) => {
+const Portfolio = ({ contract, account, roles, isDemoMode }) => {
+  const isLive = useContext(LiveUpdatesContext);
   const queryClient = useQueryClient();
+  const pollingInterval = usePollingInterval(30000);
+  const isOwner =
+    !!account && !!roles.owner && account.toLowerCase() === roles.owner.toLowerCase();
+  // Partners see their own products; the owner and read-only visitors can
+  // look up any address
+  const canChooseAddress = isOwner || !account;
+  const [addressInput, setAddressInput] = useState(account || "");
+  const address = canChooseAddress ? addressInput.trim() : account;
+  const isValidAddress = ethers.isAddress(address);
 
   const {
-    data: products,
+    data: products = [],
     isLoading,
     error,
-    refetch,
   } = useQuery(
-    ["retailerProducts", contract?.address],
-    async () => {
-      if (!contract) throw new Error("Contract not initialized");
-      const productsData = await contract.getProductsSentByDistributor();
-      return productsData.map((product) => ({
-        ...product,
-        id: product.id?.toString() || "Unknown",
-        name: product.name || "Unnamed Product",
-        description: product.description || "No description",
-        price: ethers.formatEther(product.price),
-      }));
-    },
+    ["portfolio", contract?.target, address.toLowerCase()],
+    () => fetchPortfolio(queryClient, contract, address, { isLive }),
     {
-      enabled: !!contract && !isDemoMode,
-      refetchInterval: 5000,
-      retry: 3,
+      enabled: !!contract && !isDemoMode && isValidAddress,
+      refetchInterval: pollingInterval,
       onError: (error) => {
-        console.error("Error fetching retailer products:", error);
-        customToast("Failed to fetch products. Please try again.", "error");
+        console.error("Error fetching portfolio:", error);
       },
     }
   );
 
-  const receiveProductMutation = useMutation(
-    async (productId) => {
-      if (!contract) throw new Error("Contract not initialized");
-      const tx = await contract.receiveProductByRetailer(productId);
-      await tx.wait();
+  const demoProducts = [
+    {
+      id: "1",
+      name: "Demo Product 1",
+      price: "10",
+      status: 1,
+      handoffs: [
+        { key: "created", action: "Product Created", role: "Manufacturer" },
+        { key: "sent", action: "Sent by Manufacturer", role: "Manufacturer" },
+      ],
     },
     {
-      onSuccess: (_, productId) => {
-        customToast(`Product ${productId} received successfully!`, "success");
-        queryClient.invalidateQueries(["retailerProducts"]);
-      },
-      onError: (error) => {
-        console.error("Error receiving product:", error);
-        let errorMessage = "Error receiving product. Please try again.";
-        if (error.message.includes("caller is not the retailer")) {
-          errorMessage = "You don't have permission to receive products.";
-        }
-        customToast(errorMessage, "error");
-      },
-    }
-  );
-
-  const demoProducts = [
-    { id: "1", name: "Demo Product 1", description: "This is a demo product", price: "50.00" },
-    { id: "2", name: "Demo Product 2", description: "Another demo product", price: "60.00" },
+      id: "2",
+      name: "Demo Product 2",
+      price: "20",
+      status: 4,
+      handoffs: [{ key: "created", action: "Product Created", role: "Manufacturer" }],
+    },
   ];
 
-  const displayProducts = isDemoMode ? demoProducts : products || [];
+  const displayProducts = isDemoMode ? demoProducts : products;
+  const groups = PRODUCT_STATUS_LABELS.map((label, status) => ({
+    label,
+    products: displayProducts.filter((product) => product.status === status),
+  })).filter((group) => group.products.length > 0);
 
   return (
     <Card>
-      <h2 className="text-2xl font-bold mb-6 text-[#E4B1F0]">Retailer Dashboard</h2>
+      <div className="flex items-center mb-6">
+        <Briefcase size={24} className="text-[#7E60BF] mr-3" />
+        <h2 className="text-2xl font-bold text-[#E4B1F0]">Portfolio</h2>
+      </div>
 
-      {isLoading && !isDemoMode && (
-        <div className="text-center py-4">
-          <p className="text-gray-400">Loading products...</p>
+      {canChooseAddress ? (
+        <AddressInput
+          value={addressInput}
+          onChange={setAddressInput}
+          placeholder="Address or address book name to audit"
+          className="mb-6"
+        />
+      ) : (
+        <p className="text-sm text-gray-400 mb-6">
+          Products handled by your wallet <AddressName address={account} />
+        </p>
+      )}
+
+      {!isDemoMode && address && !isValidAddress ? (
+        <p className="text-center text-red-500">Please enter a valid address.</p>
+      ) : isLoading && !isDemoMode ? (
+        <p className="text-center text-gray-400">Loading products...</p>
+      ) : error ? (
+        <p className="text-center text-red-500">Error: {error.message}</p>
+      ) : groups.length === 0 ? (
+        <p className="text-gray-400 text-center py-4">
+          {isValidAddress
+            ? "This address hasn't handled any products."
+            : "Enter an address to see its products."}
+        </p>
+      ) : (
+        <div className="space-y-8">
+          <p className="text-sm text-gray-300">
+            {displayProducts.length} product{displayProducts.length === 1 ? "" : "s"} handled
+          </p>
+          {groups.map((group) => (
+            <div key={group.label}>
+              <h3 className="text-xl font-semibold mb-4 text-[#E4B1F0]">
+                {group.label} ({group.products.length})
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {group.products.map((product) => (
+                  <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
+                      <Link
+                        to={`/track?productId=${product.id}`}
+                        className="flex items-center text-sm text-[#7E60BF] hover:text-[#E4B1F0]"
+                      >
+                        Track
+                        <ChevronRight size={16} />
+                      </Link>
+                    </div>
+                    <p>Name: {product.name}</p>
+                    <p>Price: {product.price} INR</p>
+                    <ul className="mt-2 space-y-1 text-sm text-gray-300">
+                      {product.handoffs.map((handoff) => (
+                        <li key={handoff.key}>
+                          <span className="text-[#E4B1F0]">{handoff.role}</span>:{" "}
+                          {handoff.action}
+                        </li>
+                      ))}
+                    </ul>
+                    {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
         </div>
       )}
+    </Card>
+  );
+};
 
-      {error && !isDemoMode && (
-        <div className="bg-red-900 text-red-200 p-4 rounded-lg mb-6">
-          <p>Error: {error.message}</p>
-          <button
-            onClick={() => refetch()}
-            className="mt-2 text-sm text-red-300 hover:text-red-100"
+const ProductQrCode = ({ contract, chainId, productId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [dataUrl, setDataUrl] = useState(null);
+  const url = contract && chainId ? getTrackingUrl(chainId, contract.target, productId) : null;
+
+  useEffect(() => {
+    if (!isOpen || !url) return;
+    let cancelled = false;
+    QRCode.toDataURL(url, { margin: 2, width: 256 })
+      .then((result) => !cancelled && setDataUrl(result))
+      .catch((error) => console.error("Error generating QR code:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, url]);
+
+  if (!url) return null;
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        className="flex items-center mt-2 text-sm text-[#7E60BF] hover:text-[#E4B1F0]"
+      >
+        <QrCode size={16} className="mr-1" />
+        QR Code
+      </button>
+      {isOpen && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 px-4"
+          onClick={() => setIsOpen(false)}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-gray-800 rounded-xl p-6 shadow-xl border border-[#433878] w-full max-w-sm"
+            onClick={(e) => e.stopPropagation()}
           >
-            Try again
-          </button>
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold text-[#E4B1F0]">Product {productId}</h3>
+              <button onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-white">
+                <X size={20} />
+              </button>
+            </div>
+            {dataUrl ? (
+              <img
+                src={dataUrl}
+                alt={`QR code for product ${productId}`}
+                className="mx-auto rounded-lg"
+              />
+            ) : (
+              <p className="text-center text-gray-400">Generating...</p>
+            )}
+            <p className="text-xs text-gray-400 mt-4 break-all">{url}</p>
+            {dataUrl && (
+              <a
+                href={dataUrl}
+                download={`product-${productId}-qr.png`}
+                className="flex items-center justify-center mt-4 text-[#7E60BF] hover:text-[#E4B1F0]"
+              >
+                <Download size={16} className="mr-1" />
+                Download label
+              </a>
+            )}
+          </motion.div>
         </div>
       )}
+    </>
+  );
+};
 
-      <div className="flex items-center mb-4">
-        <Package size={24} className="text-[#7E60BF] mr-2" />
-        <h3 className="text-xl font-semibold text-[#E4B1F0]">Receivable Products</h3>
-      </div>
-      
-      {displayProducts.length === 0 ? (
-        <p className="text-gray-400 text-center py-4">No products available to receive.</p>
+// Public proof of provenance for anyone holding the package; reads straight
+// from the chain's RPC, so it needs no wallet, role or app network choice
+const VerifyProduct = () => {
+  const { chainId, productId } = useParams();
+  const network = getNetwork(chainId);
+  const contract = useMemo(
+    () => (network?.contractAddress ? createReadOnlyContract(network) : null),
+    [network]
+  );
+  useEffect(() => () => contract?.runner.provider.destroy(), [contract]);
+
+  const { data: product, isLoading, error } = useQuery(
+    ["verify", contract?.target, productId, network?.chainId],
+    () => fetchProductSummary(contract, productId),
+    {
+      enabled: !!contract && /^\d+$/.test(productId),
+      retry: 1,
+    }
+  );
+  const { data: eventsByStage } = useStageEvents(contract, productId, {
+    enabled: !!product,
+  });
+  const stages = product ? buildProductStages(product, eventsByStage ?? new Map()) : [];
+
+  const isMissing = !/^\d+$/.test(productId) || error?.message === "Product not found";
+
+  return (
+    <div className="max-w-md mx-auto">
+      {isLoading ? (
+        <Card>
+          <p className="text-center text-gray-400">Checking the blockchain...</p>
+        </Card>
+      ) : !contract || isMissing || error ? (
+        <Card className="bg-[#433878] border-[#7E60BF] text-center">
+          <ShieldAlert size={48} className="mx-auto text-[#E4B1F0] mb-4" />
+          <h2 className="text-xl font-bold text-[#E4B1F0] mb-2">
+            {!contract
+              ? "Unknown network"
+              : isMissing
+              ? "Product not found"
+              : "Verification unavailable"}
+          </h2>
+          <p className="text-sm text-gray-200">
+            {!contract
+              ? `This app has no supply chain deployment on chain ${chainId}.`
+              : isMissing
+              ? `Product ${productId} isn't recorded on ${network.name}. The code may be mistyped or not genuine.`
+              : "We couldn't reach the blockchain. Please try again in a moment."}
+          </p>
+        </Card>
       ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          {displayProducts.map((product) => (
-            <div key={product.id} className="bg-gray-700 p-4 rounded-lg">
-              <p className="font-semibold text-[#E4B1F0]">Product ID: {product.id}</p>
-              <p>Name: {product.name}</p>
-              <p>Description: {product.description}</p>
-              <p>Price: {product.price} INR</p>
-              <Button
-                onClick={() => receiveProductMutation.mutate(product.id)}
-                className="mt-2"
-                disabled={receiveProductMutation.isLoading || isDemoMode}
-              >
-                {receiveProductMutation.isLoading ? "Receiving..." : "Receive Product"}
-              </Button>
-              {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
-            </div>
-          ))}
-        </div>
+        <Card className="p-6">
+          <div className="flex items-center mb-4 text-green-400">
+            <ShieldCheck size={28} className="mr-2 flex-shrink-0" />
+            <span className="text-sm font-medium">Recorded on {network.name}</span>
+          </div>
+          <h2 className="text-2xl font-bold text-[#E4B1F0]">{product.name}</h2>
+          <p className="text-sm text-gray-400 mb-1">Product #{product.id}</p>
+          <p className="text-gray-200 mb-6">{product.description}</p>
+
+          <ol className="border-l-2 border-[#433878] ml-3 space-y-6">
+            {stages.map((stage) => (
+              <li key={stage.label} className="relative pl-6">
+                <span
+                  className={`absolute -left-[9px] w-4 h-4 rounded-full ${
+                    stage.timestamp ? "bg-[#7E60BF]" : "bg-gray-600"
+                  }`}
+                />
+                <p
+                  className={`font-medium ${
+                    stage.timestamp ? "text-[#E4B1F0]" : "text-gray-500"
+                  }`}
+                >
+                  {stage.label}
+                </p>
+                {stage.timestamp ? (
+                  <>
+                    <p className="text-sm text-gray-300">
+                      {new Date(stage.timestamp * 1000).toLocaleString()} · {stage.role}
+                    </p>
+                    {getExplorerTxUrl(network.chainId, stage.transactionHash) && (
+                      <a
+                        href={getExplorerTxUrl(network.chainId, stage.transactionHash)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center text-xs text-[#7E60BF] hover:text-[#E4B1F0]"
+                      >
+                        View transaction
+                        <ExternalLink size={12} className="ml-1" />
+                      </a>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-500">Pending</p>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          <p className="text-xs text-gray-500 mt-6 break-all">
+            Contract {contract.target}
+          </p>
+        </Card>
       )}
+    </div>
+  );
+};
+
+// Hidden on the public verification page, which never uses a wallet
+const WalletMissingBanner = ({ isReadOnly }) => {
+  const isVerifyPage = useMatch("/verify/*");
+  if (isVerifyPage) return null;
+
+  return (
+    <Card className="mb-8 bg-[#433878] border-[#7E60BF]">
+      <div className="flex items-center space-x-3">
+        <AlertCircle size={24} className="text-[#E4B1F0]" />
+        <p className="text-[#E4B1F0] font-medium">
+          {isReadOnly
+            ? "No Ethereum wallet detected. You are viewing live on-chain data in read-only mode; connect a wallet to send transactions."
+            : "No Ethereum wallet detected. To view actual data, please connect a wallet. Alternatively, you can enable demo mode to explore the app."}
+        </p>
+      </div>
     </Card>
   );
 };
 
-const ProductTrackingPage = ({ contract, isDemoMode }) => {
-  const [productId, setProductId] = useState("");
+const ProductTrackingPage = ({ contract, chainId, isDemoMode }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const urlProductId = searchParams.get("productId") || "";
+  const [productId, setProductId] = useState(urlProductId);
+  const [isDecoding, setIsDecoding] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => setProductId(urlProductId), [urlProductId]);
+
+  // Links from QR codes name the deployment; products on another supported
+  // chain are read from its RPC without switching the wallet
+  const linkedChainId = searchParams.get("chainId");
+  const linkedAddress = searchParams.get("contract");
+  const linkedNetwork = getNetwork(linkedChainId);
+  const isUnknownDeployment =
+    !!(linkedChainId || linkedAddress) &&
+    linkedNetwork?.contractAddress?.toLowerCase() !== linkedAddress?.toLowerCase();
+  const isOtherChain =
+    !isUnknownDeployment && !!linkedNetwork && linkedNetwork.chainId !== Number(chainId);
+  const linkedContract = useMemo(
+    () => (isOtherChain ? createReadOnlyContract(linkedNetwork) : null),
+    [isOtherChain, linkedNetwork]
+  );
+  useEffect(() => () => linkedContract?.runner.provider.destroy(), [linkedContract]);
+  const trackingContract = isUnknownDeployment ? null : linkedContract || contract;
+  const trackingChainId = linkedContract ? linkedNetwork.chainId : chainId;
+
+  // The product is only looked up once typing pauses
+  const [queryProductId, setQueryProductId] = useState(urlProductId);
+  const debouncedSetQueryProductId = useMemo(() => debounce(setQueryProductId, 500), []);
+
+  useEffect(() => {
+    debouncedSetQueryProductId(productId.trim());
+    return () => debouncedSetQueryProductId.cancel();
+  }, [productId, debouncedSetQueryProductId]);
 
+  // Enabled whenever an ID is entered, so events that invalidate the
+  // product refetch it
   const {
     data: product,
     isLoading,
     error,
-    refetch,
   } = useQuery(
-    ["product", productId],
-    () => fetchProduct(contract, productId),
+    ["product", trackingContract?.target, queryProductId, trackingChainId],
+    () => fetchProduct(trackingContract, queryProductId),
     {
-      enabled: false,
+      enabled: !!trackingContract && /^\d+$/.test(queryProductId) && !isDemoMode,
       retry: false,
       onError: (err) => {
         console.error("Error fetching product:", err);
       },
     }
   );
-
-  const debouncedFetch = useCallback(
-    (id) => {
-      const delayedFetch = debounce((productId) => {
-        if (productId && !isNaN(productId)) {
-          refetch();
-        }
-      }, 500);
-
-      delayedFetch(id);
-
-      // Cleanup function to cancel the debounce on unmount or re-render
-      return () => delayedFetch.cancel();
-    },
-    [refetch]
+  const { data: stageEvents } = useStageEvents(
+    trackingContract,
+    product?.product.id.toString(),
+    { enabled: !isDemoMode }
   );
 
-  useEffect(() => {
-    const cleanup = debouncedFetch(productId);
-    return cleanup;
-  }, [productId, debouncedFetch]);
-
   const handleInputChange = (e) => {
     const value = e.target.value;
     setProductId(value);
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        if (value) next.set("productId", value);
+        else next.delete("productId");
+        return next;
+      },
+      { replace: true }
+    );
+  };
+
+  const handleQrUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setIsDecoding(true);
+    try {
+      const text = await decodeQrImage(file);
+      const code = text && parseTrackingCode(text);
+      if (!code) {
+        customToast("No product QR code was found in that image", "error");
+        return;
+      }
+      setSearchParams(
+        Object.fromEntries(Object.entries(code).filter(([, value]) => value))
+      );
+    } catch (error) {
+      console.error("Error decoding QR image:", error);
+      customToast("Could not read that image. Please try another photo.", "error");
+    } finally {
+      setIsDecoding(false);
+    }
   };
 
   const statusString = useProductStatus(product?.product?.status);
@@ -1484,9 +6635,41 @@ const ProductTrackingPage = ({ contract, isDemoMode }) => {
             placeholder="Enter Product ID"
             className="flex-grow"
           />
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            onChange={handleQrUpload}
+            className="hidden"
+          />
+          <Button
+            onClick={() => fileInputRef.current.click()}
+            disabled={isDecoding || isDemoMode}
+            className="flex-shrink-0"
+          >
+            <Camera size={18} className="mr-2" />
+            {isDecoding ? "Reading..." : "Scan QR"}
+          </Button>
         </div>
+        {isOtherChain && (
+          <p className="text-sm text-[#E4B1F0] mt-4">
+            Showing a product from {linkedNetwork.name}.
+          </p>
+        )}
       </Card>
 
+      {isUnknownDeployment && !isDemoMode && (
+        <Card className="mb-8 bg-[#433878] border-[#7E60BF]">
+          <div className="flex items-center space-x-3">
+            <AlertCircle size={24} className="text-[#E4B1F0]" />
+            <p className="text-[#E4B1F0] font-medium">
+              This link points to a deployment this app isn't configured for
+              (chain {linkedChainId || "unknown"}, contract {linkedAddress || "unknown"}).
+            </p>
+          </div>
+        </Card>
+      )}
+
       {isLoading && (
         <Card className="mb-8">
           <p className="text-gray-200">Loading product details...</p>
@@ -1522,9 +6705,17 @@ const ProductTrackingPage = ({ contract, isDemoMode }) => {
           <Card className="mb-8">
             <div className="flex items-center mb-6">
               <Package size={24} className="text-[#7E60BF] mr-3" />
-              <h3 className="text-2xl font-semibold text-[#E4B1F0]">
+              <h3 className="text-2xl font-semibold text-[#E4B1F0] flex-grow">
                 Product Details
               </h3>
+              {!isDemoMode && (
+                <ProductExportButtons
+                  contract={trackingContract}
+                  chainId={trackingChainId}
+                  productId={product.product.id.toString()}
+                  className="text-[#7E60BF]"
+                />
+              )}
             </div>
             <div className="grid grid-cols-2 gap-4">
               <DetailItem label="ID" value={(isDemoMode ? demoProduct : product).product.id.toString()} />
@@ -1539,15 +6730,40 @@ const ProductTrackingPage = ({ contract, isDemoMode }) => {
               />
               <DetailItem label="Status" value={statusString} />
             </div>
+            {!isDemoMode && trackingChainId && (
+              <Link
+                to={`/verify/${trackingChainId}/${product.product.id}`}
+                className="inline-flex items-center mt-4 text-sm text-[#7E60BF] hover:text-[#E4B1F0]"
+              >
+                <ShieldCheck size={16} className="mr-1" />
+                Public verification page
+              </Link>
+            )}
           </Card>
 
           <Card className="mb-8">
-            <SupplyChainVisualization status={(isDemoMode ? demoProduct : product).product.status} />
+            <SupplyChainVisualization
+              status={(isDemoMode ? demoProduct : product).product.status}
+              timeline={
+                isDemoMode
+                  ? null
+                  : buildProductStages(product.summary, stageEvents ?? new Map())
+              }
+              chainId={trackingChainId}
+            />
           </Card>
 
+          <ProductReturns
+            contract={trackingContract}
+            chainId={trackingChainId}
+            productId={(isDemoMode ? demoProduct : product).product.id.toString()}
+            isDemoMode={isDemoMode}
+          />
+
           <Card>
             <TransactionHistory
-              contract={contract}
+              contract={trackingContract}
+              chainId={trackingChainId}
               productId={(isDemoMode ? demoProduct : product).product.id.toString()}
               isDemoMode={isDemoMode}
             />
@@ -1581,10 +6797,12 @@ const ProductDetails = ({
   history,
   statusString,
   contract,
+  chainId,
   account,
   roles,
 }) => {
   const [isEditing, setIsEditing] = useState(false);
+  const sendTransaction = useSendTransaction();
 
   const isOwner =
     account &&
@@ -1594,13 +6812,17 @@ const ProductDetails = ({
   const editProductMutation = useMutation(
     async (updatedProduct) => {
       if (!contract) throw new Error("Contract not initialized");
-      const tx = await contract.updateProduct(
-        updatedProduct.id,
-        updatedProduct.name,
-        updatedProduct.description,
-        updatedProduct.price
+      await sendTransaction(
+        contract,
+        "updateProductDetails",
+        [
+          updatedProduct.id,
+          updatedProduct.name,
+          updatedProduct.description,
+          updatedProduct.price,
+        ],
+        { productId: updatedProduct.id }
       );
-      await tx.wait();
     },
     {
       onSuccess: () => {
@@ -1609,7 +6831,7 @@ const ProductDetails = ({
       },
       onError: (error) => {
         console.error("Error updating product:", error);
-        customToast(`Error updating product: ${error.message}`, "error");
+        notifyContractError(error, "Failed to update product");
       },
     }
   );
@@ -1628,15 +6850,23 @@ const ProductDetails = ({
           <h3 className="text-xl font-semibold text-[#E4B1F0]">
             Product Details
           </h3>
-          {!isEditing && isOwner && (
-            <button
-              onClick={() => setIsEditing(true)}
-              className="flex items-center text-[#7E60BF] hover:text-[#E4B1F0]"
-            >
-              <Edit size={16} className="mr-1" />
-              Edit
-            </button>
-          )}
+          <div className="flex items-center space-x-4">
+            <ProductExportButtons
+              contract={contract}
+              chainId={chainId}
+              productId={product.id.toString()}
+              className="text-[#7E60BF]"
+            />
+            {!isEditing && isOwner && (
+              <button
+                onClick={() => setIsEditing(true)}
+                className="flex items-center text-[#7E60BF] hover:text-[#E4B1F0]"
+              >
+                <Edit size={16} className="mr-1" />
+                Edit
+              </button>
+            )}
+          </div>
         </div>
         {isEditing ? (
           <EditProductForm
@@ -1660,6 +6890,7 @@ const ProductDetails = ({
       <SupplyChainVisualization status={product.status} />
       <TransactionHistory
         contract={contract}
+        chainId={chainId}
         productId={product.id.toString()}
       />
     </>
@@ -1673,7 +6904,19 @@ const DetailItem = ({ label, value }) => (
   </div>
 );
 
-const SupplyChainVisualization = ({ status }) => {
+// Stages that take longer than this to move on are highlighted
+const SLOW_STAGE_SECONDS = Number(process.env.REACT_APP_SLOW_STAGE_HOURS || 72) * 3600;
+
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes % 60}m`;
+  return minutes ? `${minutes}m` : "<1m";
+};
+
+const SupplyChainVisualization = ({ status, timeline, chainId }) => {
   const stages = [
     { name: "Created", icon: <Package /> },
     { name: "Sent by Manufacturer", icon: <Truck /> },
@@ -1681,138 +6924,655 @@ const SupplyChainVisualization = ({ status }) => {
     { name: "Sent by Distributor", icon: <Truck /> },
     { name: "Received by Retailer", icon: <Store /> },
   ];
+  const currentStage = Number(status);
+  const now = Math.floor(Date.now() / 1000);
+
+  // Time each stage took to move on, or has been waiting so far if current
+  const dwellTimes = stages.map((_, index) => {
+    const start = timeline?.[index]?.timestamp;
+    if (!start || index === stages.length - 1) return null;
+    const end = timeline[index + 1].timestamp;
+    const dwell = end
+      ? { seconds: end - start, isWaiting: false }
+      : index === currentStage
+      ? { seconds: now - start, isWaiting: true }
+      : null;
+    return dwell && { ...dwell, isSlow: dwell.seconds > SLOW_STAGE_SECONDS };
+  });
+  const createdAt = timeline?.[0]?.timestamp;
+  const isDelivered = currentStage === stages.length - 1;
+  const transitSeconds =
+    createdAt && (isDelivered ? timeline[currentStage].timestamp : now) - createdAt;
+  const slowStages = dwellTimes
+    .map((dwell, index) => dwell?.isSlow && { ...dwell, index })
+    .filter(Boolean);
 
   return (
     <Card className="mt-6">
       <h3 className="text-xl font-semibold mb-4 text-[#E4B1F0]">
         Supply Chain Progress
       </h3>
-      <div className="flex items-center justify-between">
-        {stages.map((stage, index) => (
-          <React.Fragment key={stage.name}>
-            <div
-              className={`flex flex-col items-center ${
-                index <= status ? "text-[#E4B1F0]" : "text-gray-500"
-              }`}
-            >
-              <div className="w-12 h-12 rounded-full flex items-center justify-center bg-gray-800">
-                {index < status ? (
-                  <CheckCircle className="w-8 h-8" />
-                ) : index === status ? (
-                  <Circle className="w-8 h-8" />
-                ) : (
-                  stage.icon
+      <div className="overflow-x-auto">
+        <div className="flex items-start justify-between min-w-[40rem]">
+          {stages.map((stage, index) => {
+            const timestamp = timeline?.[index]?.timestamp;
+            const transactionUrl = getExplorerTxUrl(
+              chainId,
+              timeline?.[index]?.transactionHash
+            );
+            const dwell = dwellTimes[index];
+            return (
+              <React.Fragment key={stage.name}>
+                <div
+                  className={`flex flex-col items-center w-28 ${
+                    index <= status ? "text-[#E4B1F0]" : "text-gray-500"
+                  }`}
+                >
+                  <div className="w-12 h-12 rounded-full flex items-center justify-center bg-gray-800">
+                    {index < status ? (
+                      <CheckCircle className="w-8 h-8" />
+                    ) : index === currentStage ? (
+                      <Circle className="w-8 h-8" />
+                    ) : (
+                      stage.icon
+                    )}
+                  </div>
+                  <span className="mt-2 text-xs text-center">{stage.name}</span>
+                  {timestamp && (
+                    <span className="text-xs text-center text-gray-400">
+                      {new Date(timestamp * 1000).toLocaleString()}
+                    </span>
+                  )}
+                  {transactionUrl && (
+                    <a
+                      href={transactionUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center text-xs text-[#7E60BF] hover:text-[#E4B1F0]"
+                    >
+                      Transaction
+                      <ExternalLink size={12} className="ml-1" />
+                    </a>
+                  )}
+                </div>
+                {index < stages.length - 1 && (
+                  <div className="flex-grow flex flex-col items-center mt-1">
+                    <span
+                      className={`h-4 leading-4 text-xs ${
+                        dwell?.isSlow ? "text-red-400 font-semibold" : "text-gray-400"
+                      }`}
+                    >
+                      {dwell &&
+                        `${dwell.isWaiting ? "waiting " : ""}${formatDuration(dwell.seconds)}`}
+                    </span>
+                    <div
+                      className={`w-full h-0.5 mt-1 ${
+                        dwell?.isSlow
+                          ? "bg-red-500"
+                          : index < status
+                          ? "bg-[#7E60BF]"
+                          : "bg-gray-600"
+                      }`}
+                    />
+                  </div>
                 )}
-              </div>
-              <span className="mt-2 text-xs text-center">{stage.name}</span>
-            </div>
-            {index < stages.length - 1 && (
-              <div
-                className={`flex-grow h-0.5 ${
-                  index < status ? "bg-[#7E60BF]" : "bg-gray-600"
-                }`}
-              />
-            )}
-          </React.Fragment>
-        ))}
+              </React.Fragment>
+            );
+          })}
+        </div>
       </div>
+      {createdAt && (
+        <div className="mt-6 text-sm text-gray-300 space-y-1">
+          <p>
+            {isDelivered ? "Total time in transit: " : "In transit for "}
+            <span className="text-[#E4B1F0]">{formatDuration(transitSeconds)}</span>
+            {!isDelivered && " so far"}
+          </p>
+          {slowStages.map((dwell) => (
+            <p key={dwell.index} className="text-red-400">
+              {dwell.isWaiting
+                ? `Waiting at "${stages[dwell.index].name}" for ${formatDuration(dwell.seconds)}`
+                : `Held up ${formatDuration(dwell.seconds)} between "${
+                    stages[dwell.index].name
+                  }" and "${stages[dwell.index + 1].name}"`}
+            </p>
+          ))}
+        </div>
+      )}
     </Card>
   );
 };
 
-const TransactionHistory = ({ contract, productId = null, isDemoMode }) => {
-  const {
-    data: transactions = [], // Default to an empty array if undefined
-    isLoading,
-    error,
-  } = useQuery(
-    ["transactionHistory", contract?.address, productId],
-    async () => {
-      if (!contract) throw new Error("Contract not initialized");
+// Activity feed
 
-      const transactionFilter =
-        contract.filters.TransactionPerformed(productId);
-      const transactionEvents = await contract.queryFilter(transactionFilter);
+const statusLabel = (status) =>
+  PRODUCT_STATUS_LABELS[Number(status)] ?? `Status ${status}`;
 
-      const [owner, manufacturer, distributor, retailer] = await Promise.all([
-        contract.owner(),
-        contract.manufacturer(),
-        contract.distributor(),
-        contract.retailer(),
-      ]);
+// How each contract event is shown: its icon, the address that acted (when
+// the event records one) and the details listed under it
+const ACTIVITY_EVENT_TYPES = {
+  ProductCreated: {
+    label: "Product Created",
+    icon: Package,
+    className: "bg-green-900 text-green-400",
+    actor: (args) => args.manufacturer,
+    details: (args) => [{ label: "Manufacturer", address: args.manufacturer }],
+  },
+  ProductSent: {
+    label: "Product Sent",
+    icon: Truck,
+    className: "bg-blue-900 text-blue-400",
+    actor: (args) => args.from,
+    details: (args) => [
+      { label: "From", address: args.from },
+      { label: "To", address: args.to },
+    ],
+  },
+  ProductReceived: {
+    label: "Product Received",
+    icon: Store,
+    className: "bg-purple-900 text-purple-400",
+    actor: (args) => args.receiver,
+    details: (args) => [{ label: "Receiver", address: args.receiver }],
+  },
+  ProductStatusChanged: {
+    label: "Status Changed",
+    icon: RefreshCw,
+    className: "bg-yellow-900 text-yellow-400",
+    details: (args) => [
+      {
+        label: "Status",
+        value:
+          args.oldStatus === args.newStatus
+            ? statusLabel(args.newStatus)
+            : `${statusLabel(args.oldStatus)} → ${statusLabel(args.newStatus)}`,
+      },
+    ],
+  },
+  ProductStageUpdated: {
+    label: "Stage Updated",
+    icon: Layers,
+    className: "bg-indigo-900 text-indigo-400",
+    details: (args) => [{ label: "Stage", value: statusLabel(args.currentStage) }],
+  },
+  TransactionPerformed: {
+    label: "Transaction Recorded",
+    icon: FileText,
+    className: "bg-gray-700 text-gray-300",
+    actor: (args) => args.performer,
+    details: (args) => [
+      { label: "Action", value: args.transactionType },
+      { label: "Performer", address: args.performer },
+    ],
+  },
+  AddressesSet: {
+    label: "Roles Assigned",
+    icon: Users,
+    className: "bg-pink-900 text-pink-400",
+    details: (args) => [
+      { label: "Manufacturer", address: args.manufacturer },
+      { label: "Distributor", address: args.distributor },
+      { label: "Retailer", address: args.retailer },
+    ],
+  },
+  OwnershipTransferred: {
+    label: "Ownership Transferred",
+    icon: KeyRound,
+    className: "bg-red-900 text-red-400",
+    actor: (args) => args.previousOwner,
+    details: (args) => [
+      { label: "Previous owner", address: args.previousOwner },
+      { label: "New owner", address: args.newOwner },
+    ],
+  },
+};
+
+// Every indexed contract event, newest first. Role events carry no product
+// ID, so a product's feed leaves them out.
+const fetchActivity = async (contract, productId) => {
+  const eventLists = await Promise.all(
+    Object.keys(ACTIVITY_EVENT_TYPES).map((name) =>
+      getIndexedEvents(contract, name, { productId })
+    )
+  );
+
+  // The contract emits TransactionPerformed twice per call
+  const events = [
+    ...new Map(
+      eventLists
+        .flat()
+        .map((event) => [
+          `${event.transactionHash}-${event.name}-${JSON.stringify(event.args)}`,
+          event,
+        ])
+    ).values(),
+  ];
+
+  // OwnershipTransferred has no timestamp argument; use its block's
+  const untimedBlocks = [
+    ...new Set(
+      events
+        .filter((event) => event.args.timestamp == null)
+        .map((event) => event.blockNumber)
+    ),
+  ];
+  const blockTimestamps = new Map(
+    await mapWithConcurrency(untimedBlocks, PRODUCT_FETCH_CONCURRENCY, async (blockNumber) => [
+      blockNumber,
+      (await contract.runner.provider.getBlock(blockNumber)).timestamp,
+    ])
+  );
+
+  // Status and stage events don't name who acted; they share a transaction
+  // with one that does
+  const transactionActors = new Map();
+  events.forEach((event) => {
+    const actor = ACTIVITY_EVENT_TYPES[event.name].actor?.(event.args);
+    if (actor) transactionActors.set(event.transactionHash, actor);
+  });
+
+  return events
+    .map((event) => ({
+      id: event.id,
+      name: event.name,
+      productId: event.args.productId ?? null,
+      actor: transactionActors.get(event.transactionHash) ?? null,
+      args: event.args,
+      timestamp: Number(event.args.timestamp ?? blockTimestamps.get(event.blockNumber)),
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+    }))
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+};
+
+const DEMO_ROLE_MAP = {
+  "0x0000000000000000000000000000000000000001": "Manufacturer",
+  "0x0000000000000000000000000000000000000002": "Distributor",
+  "0x0000000000000000000000000000000000000003": "Retailer",
+};
+
+const DEMO_ACTIVITY = [
+  {
+    id: "demo-4",
+    blockNumber: 4,
+    logIndex: 0,
+    name: "ProductReceived",
+    productId: "1",
+    actor: "0x0000000000000000000000000000000000000002",
+    args: { receiver: "0x0000000000000000000000000000000000000002" },
+    timestamp: Math.floor(Date.now() / 1000),
+    transactionHash: "0x789...ghi",
+  },
+  {
+    id: "demo-3",
+    blockNumber: 3,
+    logIndex: 0,
+    name: "ProductSent",
+    productId: "1",
+    actor: "0x0000000000000000000000000000000000000001",
+    args: {
+      from: "0x0000000000000000000000000000000000000001",
+      to: "0x0000000000000000000000000000000000000002",
+    },
+    timestamp: Math.floor(Date.now() / 1000) - 43200,
+    transactionHash: "0x456...def",
+  },
+  {
+    id: "demo-2",
+    blockNumber: 2,
+    logIndex: 0,
+    name: "ProductCreated",
+    productId: "1",
+    actor: "0x0000000000000000000000000000000000000001",
+    args: { manufacturer: "0x0000000000000000000000000000000000000001" },
+    timestamp: Math.floor(Date.now() / 1000) - 86400,
+    transactionHash: "0x123...abc",
+  },
+  {
+    id: "demo-1",
+    blockNumber: 1,
+    logIndex: 0,
+    name: "AddressesSet",
+    productId: null,
+    actor: null,
+    args: {
+      manufacturer: "0x0000000000000000000000000000000000000001",
+      distributor: "0x0000000000000000000000000000000000000002",
+      retailer: "0x0000000000000000000000000000000000000003",
+    },
+    timestamp: Math.floor(Date.now() / 1000) - 172800,
+    transactionHash: "0x000...aaa",
+  },
+];
+
+const ActivityItem = ({ event, roleMap, chainId }) => {
+  const type = ACTIVITY_EVENT_TYPES[event.name];
+  const Icon = type.icon;
+  const explorerUrl = getExplorerTxUrl(chainId, event.transactionHash);
+
+  return (
+    <div className="flex items-start space-x-4">
+      <div className={`flex-shrink-0 rounded-full p-2 ${type.className}`}>
+        <Icon className="h-6 w-6" />
+      </div>
+      <div className="flex-grow min-w-0">
+        <p className="text-sm font-medium text-gray-200">
+          {event.productId != null && `Product ${event.productId} - `}
+          {type.label}
+        </p>
+        <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-300">
+          {type.details(event.args).map((detail) => (
+            <span key={detail.label}>
+              <span className="text-gray-400">{detail.label}:</span>{" "}
+              {detail.address ? (
+                <AddressName
+                  address={detail.address}
+                  role={roleMap[detail.address.toLowerCase()]}
+                />
+              ) : (
+                detail.value
+              )}
+            </span>
+          ))}
+        </div>
+      </div>
+      <div className="flex-shrink-0 text-right">
+        <p className="text-sm text-[#E4B1F0]">
+          {new Date(event.timestamp * 1000).toLocaleString()}
+        </p>
+        {explorerUrl && (
+          <a
+            href={explorerUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-xs text-[#7E60BF] hover:text-[#E4B1F0]"
+          >
+            View on {getNetwork(chainId).blockExplorerName}
+          </a>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// One export row per event, with its details flattened to text
+const toActivityExportRows = (events, roleMap, lookup) =>
+  events.map((event) => {
+    const type = ACTIVITY_EVENT_TYPES[event.name];
+    const actor = event.actor ?? "";
+    return {
+      event: event.name,
+      productId: event.productId ?? "",
+      details: type
+        .details(event.args)
+        .map((detail) => `${detail.label}: ${detail.address ?? detail.value}`)
+        .join("; "),
+      actor,
+      actorName: lookup(actor)?.name ?? "",
+      role: roleMap[actor.toLowerCase()] ?? "",
+      timestamp: toIsoTimestamp(event.timestamp),
+      transactionHash: event.transactionHash,
+    };
+  });
 
-      const roleMap = {
-        [owner.toLowerCase()]: "Owner",
-        [manufacturer.toLowerCase()]: "Manufacturer",
-        [distributor.toLowerCase()]: "Distributor",
-        [retailer.toLowerCase()]: "Retailer",
+export const HISTORY_PAGE_SIZE = 25;
+const HISTORY_ROLES = ["Owner", "Manufacturer", "Distributor", "Retailer"];
+
+const parseHistoryFilters = (searchParams) => ({
+  productId: searchParams.get("product") || "",
+  types: (searchParams.get("type") || "")
+    .split(",")
+    .filter((name) => ACTIVITY_EVENT_TYPES[name]),
+  role: HISTORY_ROLES.includes(searchParams.get("role")) ? searchParams.get("role") : "",
+  performer: searchParams.get("performer") || "",
+  from: searchParams.get("from") || "",
+  to: searchParams.get("to") || "",
+  search: searchParams.get("q") || "",
+});
+
+const serializeHistoryFilters = (filters) =>
+  Object.fromEntries(
+    Object.entries({
+      product: filters.productId,
+      type: filters.types.join(","),
+      role: filters.role,
+      performer: filters.performer,
+      from: filters.from,
+      to: filters.to,
+      q: filters.search,
+    }).filter(([, value]) => value !== "")
+  );
+
+const EMPTY_HISTORY_FILTERS = parseHistoryFilters(new URLSearchParams());
+
+// Everything a search can match: labels, IDs, hashes, addresses, roles and
+// address book names
+const activitySearchText = (event, roleMap, lookup) => {
+  const type = ACTIVITY_EVENT_TYPES[event.name];
+  const addresses = [event.actor, ...type.details(event.args).map((detail) => detail.address)]
+    .filter(Boolean)
+    .map((address) => address.toLowerCase());
+  return [
+    type.label,
+    event.productId,
+    event.transactionHash,
+    ...type.details(event.args).map((detail) => detail.value),
+    ...addresses,
+    ...addresses.map((address) => roleMap[address]),
+    ...addresses.flatMap((address) => [lookup(address)?.name, lookup(address)?.organisation]),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+};
+
+// Dates are whole local days, inclusive at both ends
+const filterActivity = (events, filters, roleMap, lookup) => {
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() / 1000 : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59`).getTime() / 1000 : null;
+  const search = filters.search.trim().toLowerCase();
+  const types = new Set(filters.types);
+
+  return events.filter(
+    (event) =>
+      (!filters.productId || event.productId === filters.productId) &&
+      (types.size === 0 || types.has(event.name)) &&
+      (!filters.role || roleMap[event.actor?.toLowerCase()] === filters.role) &&
+      (!filters.performer ||
+        event.actor?.toLowerCase() === filters.performer.toLowerCase()) &&
+      (from === null || event.timestamp >= from) &&
+      (to === null || event.timestamp <= to) &&
+      (!search || activitySearchText(event, roleMap, lookup).includes(search))
+  );
+};
+
+// Cursors are chain positions rather than row offsets, so pages stay put
+// while new events arrive
+const activityCursor = (event) => `${event.blockNumber}-${event.logIndex}`;
+
+const compareActivityPosition = (a, b) =>
+  a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+const parseActivityCursor = (cursor) => {
+  const [blockNumber, logIndex] = (cursor || "").split("-").map(Number);
+  return Number.isInteger(blockNumber) && Number.isInteger(logIndex)
+    ? { blockNumber, logIndex }
+    : null;
+};
+
+// One page of `events` (already sorted) after or before a cursor. A cursor
+// with nothing beyond it, e.g. from an old link, falls back to the first page.
+export const paginateActivity = (events, { after, before, direction }) => {
+  const position = (event, cursor) => direction * compareActivityPosition(event, cursor);
+  if (before) {
+    const earlier = events.filter((event) => position(event, before) < 0);
+    if (earlier.length > 0) {
+      return {
+        page: earlier.slice(-HISTORY_PAGE_SIZE),
+        hasPrevious: earlier.length > HISTORY_PAGE_SIZE,
+        hasNext: true,
       };
+    }
+  }
+  const afterCursor = !before && after;
+  let later = afterCursor ? events.filter((event) => position(event, after) > 0) : events;
+  if (later.length === 0) later = events;
+  return {
+    page: later.slice(0, HISTORY_PAGE_SIZE),
+    hasPrevious: later.length < events.length,
+    hasNext: later.length > HISTORY_PAGE_SIZE,
+  };
+};
 
-      const transactionMap = new Map();
-
-      for (const event of transactionEvents) {
-        const tx = {
-          productId: event.args.productId.toString(),
-          action: event.args.transactionType,
-          performer: roleMap[event.args.performer.toLowerCase()] || "Unknown",
-          timestamp: event.args.timestamp.toString(),
-          transactionHash: event.transactionHash,
-        };
-
-        // Use transactionHash as a unique identifier
-        if (
-          !transactionMap.has(tx.transactionHash) ||
-          Number(tx.timestamp) >
-            Number(transactionMap.get(tx.transactionHash).timestamp)
-        ) {
-          transactionMap.set(tx.transactionHash, tx);
-        }
-      }
+const groupActivity = (events, groupBy) => {
+  if (!groupBy) return [{ key: "all", label: null, events }];
+  const groups = new Map();
+  events.forEach((event) => {
+    const [key, label] =
+      groupBy === "product"
+        ? event.productId != null
+          ? [event.productId, `Product ${event.productId}`]
+          : ["contract", "Contract roles"]
+        : [
+            new Date(event.timestamp * 1000).toDateString(),
+            new Date(event.timestamp * 1000).toLocaleDateString(),
+          ];
+    if (!groups.has(key)) groups.set(key, { key, label, events: [] });
+    groups.get(key).events.push(event);
+  });
+  return [...groups.values()];
+};
+
+const TransactionHistory = ({
+  contract,
+  chainId,
+  productId = null,
+  isDemoMode,
+}) => {
+  const pollingInterval = usePollingInterval(30000);
+  // Only the full history page is searchable; a product's feed is short
+  const showControls = productId == null;
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(
+    () => (showControls ? parseHistoryFilters(searchParams) : EMPTY_HISTORY_FILTERS),
+    [showControls, searchParams]
+  );
+  const [filterDraft, setFilterDraft] = useState(filters);
+  const { lookup } = useAddressBook();
+
+  // Follow the URL when it changes underneath the form (back/forward)
+  useEffect(() => setFilterDraft(filters), [filters]);
+
+  const { data, isLoading, error } = useQuery(
+    ["transactionHistory", contract?.target, productId],
+    async () => {
+      if (!contract) throw new Error("Contract not initialized");
 
-      const uniqueTransactions = Array.from(transactionMap.values());
-      return uniqueTransactions.sort(
-        (a, b) => Number(b.timestamp) - Number(a.timestamp)
+      const [events, roles] = await Promise.all([
+        fetchActivity(contract, productId),
+        readRoles(contract),
+      ]);
+      const roleMap = Object.fromEntries(
+        Object.entries(roles).map(([role, address]) => [
+          address.toLowerCase(),
+          role.charAt(0).toUpperCase() + role.slice(1),
+        ])
       );
+      return { events, roleMap };
     },
     {
-      enabled: !!contract,
-      refetchInterval: 30000, // Refetch every 30 seconds
+      enabled: !!contract && !isDemoMode,
+      refetchInterval: pollingInterval,
     }
   );
 
-  const demoTransactions = [
-    {
-      productId: "1",
-      action: "Product Created",
-      performer: "Manufacturer",
-      timestamp: (Date.now() / 1000 - 86400).toString(),
-      transactionHash: "0x123...abc",
-    },
-    {
-      productId: "1",
-      action: "Sent by Manufacturer",
-      performer: "Manufacturer",
-      timestamp: (Date.now() / 1000 - 43200).toString(),
-      transactionHash: "0x456...def",
-    },
-    {
-      productId: "1",
-      action: "Received by Distributor",
-      performer: "Distributor",
-      timestamp: Date.now().toString(),
-      transactionHash: "0x789...ghi",
-    },
-  ];
+  if (!isDemoMode && isLoading) return <div>Loading transaction history...</div>;
+  if (!isDemoMode && error) return <div>Error: {error.message}</div>;
+
+  const { events = [], roleMap = {} } = isDemoMode
+    ? {
+        events: DEMO_ACTIVITY.filter(
+          (event) => productId == null || event.productId === productId
+        ),
+        roleMap: DEMO_ROLE_MAP,
+      }
+    : data ?? {};
+
+  const groupBy = showControls ? searchParams.get("group") || "" : "";
+  const direction = showControls && searchParams.get("sort") === "oldest" ? 1 : -1;
+  const matching = filterActivity(events, filters, roleMap, lookup).sort(
+    (a, b) => direction * compareActivityPosition(a, b)
+  );
+  const { page, hasPrevious, hasNext } = showControls
+    ? paginateActivity(matching, {
+        after: parseActivityCursor(searchParams.get("after")),
+        before: parseActivityCursor(searchParams.get("before")),
+        direction,
+      })
+    : { page: matching, hasPrevious: false, hasNext: false };
+  const hasFilters = Object.keys(serializeHistoryFilters(filters)).length > 0;
+
+  // View options and cursors live next to the filters in the URL
+  const updateParams = (changes) =>
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      Object.entries(changes).forEach(([key, value]) =>
+        value ? next.set(key, value) : next.delete(key)
+      );
+      return next;
+    });
+
+  const withViewOptions = (params) => ({
+    ...params,
+    ...(groupBy && { group: groupBy }),
+    ...(direction === 1 && { sort: "oldest" }),
+  });
+
+  const handleApplyFilters = () => {
+    const { from, to } = filterDraft;
+    const performer = filterDraft.performer.trim();
+    if (from && to && from > to) {
+      customToast("The start date must be before the end date", "error");
+      return;
+    }
+    if (performer && !ethers.isAddress(performer)) {
+      customToast("Please enter a valid performer address", "error");
+      return;
+    }
+    setSearchParams(withViewOptions(serializeHistoryFilters({ ...filterDraft, performer })));
+  };
+
+  const handleClearFilters = () => setSearchParams(withViewOptions({}));
 
-  if (isLoading) return <div>Loading transaction history...</div>;
-  if (error) return <div>Error: {error.message}</div>;
+  const toggleTypeFilter = (name) =>
+    setFilterDraft({
+      ...filterDraft,
+      types: filterDraft.types.includes(name)
+        ? filterDraft.types.filter((type) => type !== name)
+        : [...filterDraft.types, name],
+    });
 
   return (
     <div className="bg-gray-800 shadow-lg rounded-xl overflow-hidden border border-[#433878]">
       <div className="bg-gradient-to-r from-[#433878] to-[#7E60BF] px-8 py-6">
         <div className="flex items-center">
           <Clock size={28} className="text-white mr-3" />
-          <h2 className="text-2xl font-bold text-white">Transaction History</h2>
+          <h2 className="text-2xl font-bold text-white flex-grow">
+            Transaction History
+          </h2>
+          <ExportButtons
+            name={
+              productId
+                ? `product-${productId}-activity`
+                : hasFilters
+                ? "activity-filtered"
+                : "activity"
+            }
+            disabled={isDemoMode}
+            className="text-white"
+            getRows={() => toActivityExportRows(matching, roleMap, lookup)}
+          />
         </div>
       </div>
       {isDemoMode && (
@@ -1820,64 +7580,169 @@ const TransactionHistory = ({ contract, productId = null, isDemoMode }) => {
           Demo Mode: Showing sample transaction data. Connect a wallet to view actual transactions.
         </div>
       )}
-      <div className="divide-y divide-[#433878]">
-        {(isDemoMode ? demoTransactions : transactions).map((tx) => (
-          <div
-            key={tx.transactionHash}
-            className="p-6 hover:bg-[#433878] transition duration-150 ease-in-out"
-          >
-            <div className="flex items-center space-x-4">
-              <div className="flex-shrink-0">
-                {tx.action === "Product Created" && (
-                  <div className="bg-green-900 rounded-full p-2 relative">
-                    <Package className="text-green-400 h-6 w-6" />
-                    <Plus className="text-green-400 h-3 w-3 absolute top-0 right-0" />
-                  </div>
-                )}
-                {tx.action === "Sent by Manufacturer" && (
-                  <div className="bg-blue-900 rounded-full p-2">
-                    <Truck className="text-blue-400 h-6 w-6" />
-                  </div>
-                )}
-                {tx.action === "Received by Distributor" && (
-                  <div className="bg-purple-900 rounded-full p-2">
-                    <Store className="text-purple-400 h-6 w-6" />
-                  </div>
-                )}
-                {tx.action === "Sent by Distributor" && (
-                  <div className="bg-blue-900 rounded-full p-2">
-                    <Truck className="text-blue-400 h-6 w-6" />
-                  </div>
-                )}
-                {tx.action === "Received by Retailer" && (
-                  <div className="bg-purple-900 rounded-full p-2">
-                    <Store className="text-purple-400 h-6 w-6" />
-                  </div>
-                )}
-              </div>
-              <div className="flex-grow">
-                <p className="text-sm font-medium text-gray-200">
-                  Product {tx.productId} - {tx.action}
-                </p>
-              </div>
-              <div className="flex-shrink-0 text-right">
-                <p className="text-sm text-[#E4B1F0]">
-                  {new Date(Number(tx.timestamp) * 1000).toLocaleString()}
-                </p>
-                <a
-                  href={`https://www.oklink.com/amoy/tx/${tx.transactionHash}`}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="text-xs text-[#7E60BF] hover:text-[#E4B1F0]"
+      {showControls && (
+        <div className="p-6 space-y-4 border-b border-[#433878]">
+          <Input
+            type="search"
+            placeholder="Search events, addresses, transaction hashes..."
+            value={filterDraft.search}
+            onChange={(e) => setFilterDraft({ ...filterDraft, search: e.target.value })}
+            onKeyDown={(e) => e.key === "Enter" && handleApplyFilters()}
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            <label className="text-sm text-gray-400">
+              Product ID
+              <Input
+                type="number"
+                min="1"
+                value={filterDraft.productId}
+                onChange={(e) => setFilterDraft({ ...filterDraft, productId: e.target.value })}
+                className="mt-1"
+              />
+            </label>
+            <label className="text-sm text-gray-400">
+              Performer role
+              <select
+                value={filterDraft.role}
+                onChange={(e) => setFilterDraft({ ...filterDraft, role: e.target.value })}
+                className="mt-1 w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-gray-200"
+              >
+                <option value="">Any role</option>
+                {HISTORY_ROLES.map((role) => (
+                  <option key={role} value={role}>
+                    {role}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-400">
+              Performer address
+              <AddressInput
+                placeholder="0x... or address book name"
+                value={filterDraft.performer}
+                onChange={(performer) => setFilterDraft({ ...filterDraft, performer })}
+                className="mt-1"
+              />
+            </label>
+            <label className="text-sm text-gray-400">
+              From
+              <Input
+                type="date"
+                value={filterDraft.from}
+                onChange={(e) => setFilterDraft({ ...filterDraft, from: e.target.value })}
+                className="mt-1"
+              />
+            </label>
+            <label className="text-sm text-gray-400">
+              To
+              <Input
+                type="date"
+                value={filterDraft.to}
+                onChange={(e) => setFilterDraft({ ...filterDraft, to: e.target.value })}
+                className="mt-1"
+              />
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(ACTIVITY_EVENT_TYPES).map(([name, type]) => (
+              <SelectCheckbox
+                key={name}
+                checked={filterDraft.types.includes(name)}
+                onChange={() => toggleTypeFilter(name)}
+                label={type.label}
+              />
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-4">
+            <Button onClick={handleApplyFilters}>Apply Filters</Button>
+            {hasFilters && <Button onClick={handleClearFilters}>Clear Filters</Button>}
+            <div className="flex items-center gap-4 ml-auto text-sm text-gray-400">
+              <label className="flex items-center gap-2">
+                Group by
+                <select
+                  value={groupBy}
+                  onChange={(e) => updateParams({ group: e.target.value })}
+                  className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-gray-200"
                 >
-                  View on OKLink
-                </a>
-              </div>
+                  <option value="">None</option>
+                  <option value="product">Product</option>
+                  <option value="day">Day</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                Sort
+                <select
+                  value={direction === 1 ? "oldest" : "newest"}
+                  onChange={(e) =>
+                    updateParams({
+                      sort: e.target.value === "oldest" ? "oldest" : "",
+                      after: "",
+                      before: "",
+                    })
+                  }
+                  className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-gray-200"
+                >
+                  <option value="newest">Newest first</option>
+                  <option value="oldest">Oldest first</option>
+                </select>
+              </label>
             </div>
-            {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
+          </div>
+          <p className="text-sm text-gray-300">
+            {matching.length} {hasFilters ? "matching " : ""}
+            {matching.length === 1 ? "event" : "events"}
+          </p>
+        </div>
+      )}
+      <div className="divide-y divide-[#433878]">
+        {page.length === 0 && (
+          <p className="p-6 text-gray-400">
+            {hasFilters ? "No events match these filters." : "No activity recorded yet."}
+          </p>
+        )}
+        {groupActivity(page, groupBy).map((group) => (
+          <div key={group.key} className="divide-y divide-[#433878]">
+            {group.label && (
+              <h3 className="px-6 py-3 bg-gray-900 text-sm font-semibold text-[#E4B1F0]">
+                {group.label}
+              </h3>
+            )}
+            {group.events.map((event) => (
+              <div
+                key={event.id}
+                className="p-6 hover:bg-[#433878] transition duration-150 ease-in-out"
+              >
+                <ActivityItem event={event} roleMap={roleMap} chainId={chainId} />
+                {isDemoMode && <p className="text-xs text-gray-400 mt-2">Demo Data</p>}
+              </div>
+            ))}
           </div>
         ))}
       </div>
+      {(hasPrevious || hasNext) && (
+        <div className="flex justify-end items-center gap-2 p-4 border-t border-[#433878] text-sm text-gray-400">
+          <button
+            onClick={() =>
+              updateParams({ before: activityCursor(page[0]), after: "" })
+            }
+            disabled={!hasPrevious}
+            className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+            aria-label="Previous page"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <button
+            onClick={() =>
+              updateParams({ after: activityCursor(page[page.length - 1]), before: "" })
+            }
+            disabled={!hasNext}
+            className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+            aria-label="Next page"
+          >
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -1905,6 +7770,7 @@ const fetchProduct = async (contract, productId) => {
       price: product.price,
       status: product.status || 0,
     },
+    summary: normalizeProduct(product),
     transactions: transactions.map((tx) => ({
       productId,
       transactionType: tx.transactionType || "Unknown",
@@ -1969,7 +7835,11 @@ const AppWrapper = () => {
           theme="dark"
           limit={3}
         />
-        <App />
+        <TransactionConfirmProvider>
+          <AddressBookProvider>
+            <App />
+          </AddressBookProvider>
+        </TransactionConfirmProvider>
       </Provider>
     </QueryClientProvider>
   );